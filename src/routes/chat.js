@@ -1,9 +1,12 @@
 import express from "express";
 import { pickModel, callModel } from "../services/modelRouter.js";
-import { chatPrompt } from "../services/prompts.js";
+import { chatMessages } from "../services/prompts.js";
+import { wantsEventStream, streamModelResponse } from "../utils/sse.js";
 
 const router = express.Router();
 
+const MAX_HISTORY = 20;
+
 // Input validation
 function validateChatInput(body) {
   const errors = [];
@@ -20,12 +23,24 @@ function validateChatInput(body) {
     errors.push("message exceeds maximum length (10KB)");
   }
   
+  // Earlier turns for multi-turn conversations
+  if (body.history !== undefined) {
+    if (!Array.isArray(body.history)) {
+      errors.push("history must be an array");
+    } else if (body.history.length > MAX_HISTORY) {
+      errors.push(`history exceeds maximum length (${MAX_HISTORY} messages)`);
+    } else if (body.history.some(m => !m || !["user", "assistant"].includes(m.role)
+      || typeof m.content !== "string" || m.content.length === 0 || m.content.length > 10000)) {
+      errors.push("history items must be { role: \"user\" | \"assistant\", content } with content up to 10KB");
+    }
+  }
+  
   return errors;
 }
 
 router.post("/", async (req, res) => {
   try {
-    const { message } = req.body;
+    const { message, history = [] } = req.body;
     
     // Validate input
     const errors = validateChatInput(req.body);
@@ -39,9 +54,16 @@ router.post("/", async (req, res) => {
     console.log("💬 Chat message received");
     
     const model = pickModel("chat");
-    const output = await callModel(model, [
-      { role: "system", content: chatPrompt(message) }
-    ]);
+    const messages = chatMessages(message, history);
+
+    // Opt-in streaming: Accept: text/event-stream or ?stream=true
+    if (wantsEventStream(req)) {
+      const streamed = await streamModelResponse(req, res, { model, messages, maxTokens: 200, options: { useCase: "chat" } });
+      if (streamed) console.log("✅ Chat response streamed");
+      return;
+    }
+
+    const output = await callModel(model, messages, 200, { useCase: "chat" });
     
     if (!output?.choices?.[0]?.message?.content) {
       throw new Error("Invalid response from AI model");
@@ -51,7 +73,9 @@ router.post("/", async (req, res) => {
     
     res.json({ 
       answer: output.choices[0].message.content,
-      model: model,
+      // The model that answered, which may be a fallback rather than the one requested
+      model: output.model || model,
+      provider: output.provider,
       timestamp: new Date().toISOString()
     });
     
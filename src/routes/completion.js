@@ -1,7 +1,8 @@
 import express from "express";
 import { callModel, pickModel } from "../services/modelRouter.js";
-import { completionPrompt } from "../services/prompts.js";
+import { completionMessages } from "../services/prompts.js";
 import { buildFileContext } from "../services/contextBuilder.js";
+import { wantsEventStream, streamModelResponse } from "../utils/sse.js";
 
 const router = express.Router();
 
@@ -40,12 +41,18 @@ router.post("/", async (req, res) => {
     console.log("📝 Code completion requested at line", cursorLine);
     
     const prefix = buildFileContext(fileContent, { line: cursorLine });
-    const messages = [
-      { role: "system", content: completionPrompt(prefix) }
-    ];
+    const messages = completionMessages(prefix);
     
     const model = pickModel("completion");
-    const output = await callModel(model, messages, 150);
+
+    // Opt-in streaming: Accept: text/event-stream or ?stream=true
+    if (wantsEventStream(req)) {
+      const streamed = await streamModelResponse(req, res, { model, messages, maxTokens: 150, options: { useCase: "completion" } });
+      if (streamed) console.log("✅ Code completion streamed");
+      return;
+    }
+
+    const output = await callModel(model, messages, 150, { useCase: "completion" });
     
     if (!output?.choices?.[0]?.message?.content) {
       throw new Error("Invalid response from AI model");
@@ -55,7 +62,9 @@ router.post("/", async (req, res) => {
     
     return res.json({
       completion: output.choices[0].message.content,
-      model: model,
+      // The model that answered, which may be a fallback rather than the one requested
+      model: output.model || model,
+      provider: output.provider,
       timestamp: new Date().toISOString()
     });
     
@@ -0,0 +1,104 @@
+/**
+ * Job Status API
+ * Job state and errors are public so a deployment without ADMIN_API_TOKEN can still poll them;
+ * review results and generated patches need the admin token (see utils/apiAuth.js).
+ */
+import express from "express";
+import { getJob, listJobs } from "../services/jobQueue.js";
+import { hasAdminToken, requireAdminToken } from "../utils/apiAuth.js";
+
+const router = express.Router();
+
+const JOB_STATUSES = ["queued", "running", "succeeded", "failed", "cancelled"];
+
+/**
+ * Shape a stored job for API responses; the result (review content) only for admins
+ */
+function toResponse(job, admin) {
+  const response = {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    provider: job.payload?.provider || "bitbucket",
+    repository: job.payload?.repository ?? null,
+    prId: job.payload?.prId ?? null,
+    commit: job.payload?.commit ?? null,
+    coalesced: job.coalesced || 0,
+    progress: job.progress ?? null,
+    attempts: job.attempts,
+    maxAttempts: job.maxAttempts,
+    error: job.error,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    nextRunAt: job.status === "queued" ? new Date(job.nextRunAt).toISOString() : null
+  };
+  if (admin) response.result = job.result;
+  return response;
+}
+
+/**
+ * List jobs - GET /jobs?repo=workspace/slug&pr=123&status=failed&limit=20
+ */
+router.get("/", (req, res) => {
+  const errors = [];
+  const filter = { limit: req.query.limit };
+
+  if (req.query.pr !== undefined) {
+    const prId = parseInt(req.query.pr, 10);
+    if (Number.isNaN(prId)) {
+      errors.push("pr must be a number");
+    } else {
+      filter.prId = prId;
+    }
+  }
+
+  if (req.query.repo !== undefined) {
+    if (typeof req.query.repo !== "string" || !req.query.repo.includes("/")) {
+      errors.push("repo must be a repository full name (workspace/slug)");
+    } else {
+      filter.repository = req.query.repo;
+    }
+  }
+
+  if (req.query.status !== undefined) {
+    if (!JOB_STATUSES.includes(req.query.status)) {
+      errors.push(`status must be one of: ${JOB_STATUSES.join(", ")}`);
+    } else {
+      filter.status = req.query.status;
+    }
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({ error: "Validation failed", details: errors });
+  }
+
+  const admin = hasAdminToken(req);
+  const jobs = listJobs(filter).map(job => toResponse(job, admin));
+  res.json({ jobs, count: jobs.length });
+});
+
+/**
+ * Generated test files as a patch - GET /jobs/:id/tests.patch
+ */
+router.get("/:id/tests.patch", requireAdminToken, (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job?.result?.testPatch) {
+    return res.status(404).json({ error: "No generated tests for this job", id: req.params.id });
+  }
+  res.type("text/x-diff").attachment(`tests-${job.id}.patch`).send(job.result.testPatch);
+});
+
+/**
+ * Job status - GET /jobs/:id
+ */
+router.get("/:id", (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: "Job not found", id: req.params.id });
+  }
+  res.json(toResponse(job, hasAdminToken(req)));
+});
+
+export default router;
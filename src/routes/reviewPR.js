@@ -1,113 +1,17 @@
 import express from "express";
-import { callModel } from "../services/modelRouter.js";
-import { reviewPrompt } from "../services/prompts.js";
+import { createDefaultReview, generateReview } from "../services/reviewEngine.js";
+import { validatePatches } from "../services/patchValidator.js";
+import { parseDiff } from "../services/diffParser.js";
+import { getChunkBudget } from "../services/diffChunker.js";
+import { filterReviewFiles } from "../services/fileFilter.js";
+import { resolveWorkdir, runStaticAnalysis, getCustomAnalyzers, BUILTIN_ANALYZERS } from "../services/staticAnalysis.js";
+import { scanDiffForSecrets, addSecretFindings } from "../services/secretScanner.js";
+import { normalizeSeverity, normalizeCategory, filterFindings, sortFindings, SEVERITIES, CATEGORIES, SORT_KEYS } from "../services/findings.js";
 
 const router = express.Router();
 
-/**
- * Extract JSON from various text formats with multiple fallback strategies
- */
-function extractJSON(text) {
-  if (!text || typeof text !== "string") {
-    throw new Error("Invalid input: expected string");
-  }
-
-  const trimmed = text.trim();
-  if (trimmed.length === 0) {
-    throw new Error("Empty text provided");
-  }
-  
-  try {
-    // First try: direct JSON parsing
-    return JSON.parse(trimmed);
-  } catch (e) {
-    // Second try: markdown code blocks (```json ... ```)
-    const jsonMatch = text.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
-    if (jsonMatch && jsonMatch[1]) {
-      try {
-        return JSON.parse(jsonMatch[1].trim());
-      } catch (innerErr) {
-        console.warn("⚠️  Failed to parse JSON from code block");
-      }
-    }
-    
-    // Third try: find JSON object/array in text
-    const objectMatch = text.match(/(\{[\s\S]*\}|\[[\s\S]*\])/);
-    if (objectMatch && objectMatch[1]) {
-      try {
-        return JSON.parse(objectMatch[1]);
-      } catch (innerErr) {
-        console.warn("⚠️  Failed to parse extracted JSON object");
-      }
-    }
-
-    // Fourth try: look for labeled JSON sections
-    const labeledMatch = text.match(/(?:"summary"|"comments"|"patches"|"testCases")\s*:[\s\S]*?(\{[\s\S]*?\})/);
-    if (labeledMatch && labeledMatch[1]) {
-      try {
-        return JSON.parse(labeledMatch[1]);
-      } catch (innerErr) {
-        console.warn("⚠️  Failed to parse labeled JSON");
-      }
-    }
-    
-    throw new Error("Could not extract valid JSON from response after multiple attempts");
-  }
-}
-
-/**
- * Create default review response
- */
-function createDefaultReview() {
-  return {
-    summary: "Automated code review completed. Please review for accuracy.",
-    comments: [],
-    patches: [],
-    testCases: [],
-    status: "default"
-  };
-}
-
-/**
- * Validate and sanitize review data
- */
-function validateReview(data) {
-  if (!data || typeof data !== "object") {
-    return createDefaultReview();
-  }
-
-  try {
-    return {
-      summary: typeof data.summary === "string" 
-        ? data.summary.trim().substring(0, 3000)
-        : "Code review completed.",
-      comments: Array.isArray(data.comments) 
-        ? data.comments.filter(c => 
-            c && typeof c === "object" 
-            && typeof c.file === "string" && c.file.trim().length > 0
-            && typeof c.comment === "string" && c.comment.trim().length > 0
-          ).slice(0, 100)
-        : [],
-      patches: Array.isArray(data.patches) 
-        ? data.patches.filter(p => 
-            p && typeof p === "object" 
-            && typeof p.file === "string" && p.file.trim().length > 0
-            && typeof p.diff === "string" && p.diff.trim().length > 0
-          ).slice(0, 30)
-        : [],
-      testCases: Array.isArray(data.testCases) 
-        ? data.testCases
-            .filter(tc => typeof tc === "string" && tc.trim().length > 0)
-            .map(tc => tc.substring(0, 500))
-            .slice(0, 20)
-        : [],
-      status: "validated"
-    };
-  } catch (err) {
-    console.error("❌ Review validation error:", err.message);
-    return createDefaultReview();
-  }
-}
+// Diffs over the chunk budget are reviewed in chunks, so the cap only guards the body size
+const MAX_DIFF_CHARS = 4 * 1024 * 1024;
 
 /**
  * Input validation with comprehensive checks
@@ -125,8 +29,8 @@ function validatePRInput(body) {
     errors.push("diffs is required and cannot be empty");
   } else if (typeof body.diffs !== "string") {
     errors.push("diffs must be a string");
-  } else if (body.diffs.length > 100000) {
-    errors.push("diffs exceeds maximum size (100KB)");
+  } else if (body.diffs.length > MAX_DIFF_CHARS) {
+    errors.push("diffs exceeds maximum size (4MB)");
   }
   
   // Check title
@@ -164,23 +68,97 @@ function validatePRInput(body) {
     }
   }
   
+  // Check static analysis options
+  if (body.workdir !== undefined) {
+    if (typeof body.workdir !== "string" || body.workdir.trim().length === 0) {
+      errors.push("workdir must be a non-empty string");
+    } else {
+      const { error } = resolveWorkdir(body.workdir);
+      if (error) errors.push(error);
+    }
+  }
+
+  if (body.analyzers !== undefined) {
+    const known = [...BUILTIN_ANALYZERS, ...getCustomAnalyzers().map(a => a.name)];
+    if (!Array.isArray(body.analyzers) || body.analyzers.some(a => !known.includes(a))) {
+      errors.push(`analyzers must be an array of: ${known.join(", ")}`);
+    } else if (body.workdir === undefined) {
+      errors.push("analyzers requires workdir");
+    }
+  }
+
   return errors;
 }
 
+/**
+ * Parse finding filters from the query string:
+ * ?minSeverity=major&category=bug,security&minConfidence=0.7&sort=severity
+ */
+function parseFindingQuery(query = {}) {
+  const errors = [];
+  const filter = {};
+
+  if (query.minSeverity !== undefined) {
+    filter.minSeverity = normalizeSeverity(query.minSeverity);
+    if (!filter.minSeverity) errors.push(`minSeverity must be one of: ${SEVERITIES.join(", ")}`);
+  }
+
+  if (query.category !== undefined) {
+    const requested = String(query.category).split(",").map(c => c.trim()).filter(Boolean);
+    filter.categories = requested.map(normalizeCategory);
+    if (requested.length === 0 || filter.categories.includes(null)) {
+      errors.push(`category must be a comma-separated list of: ${CATEGORIES.join(", ")}`);
+    }
+  }
+
+  if (query.minConfidence !== undefined) {
+    filter.minConfidence = Number(query.minConfidence);
+    if (Number.isNaN(filter.minConfidence) || filter.minConfidence < 0 || filter.minConfidence > 1) {
+      errors.push("minConfidence must be a number between 0 and 1");
+    }
+  }
+
+  if (query.sort !== undefined && !SORT_KEYS.includes(query.sort)) {
+    errors.push(`sort must be one of: ${SORT_KEYS.join(", ")}`);
+  }
+
+  return { filter, sort: query.sort, errors };
+}
+
+/**
+ * Apply the query filters and sort order to a review's findings
+ */
+function applyFindingQuery(review, { filter, sort }) {
+  const comments = Array.isArray(review.comments) ? review.comments : [];
+  const filtered = sortFindings(filterFindings(comments, filter), sort);
+  return { ...review, comments: filtered, totalComments: comments.length };
+}
+
+/**
+ * Keep only patches that apply to the post-change lines shown in the diff
+ */
+async function checkPatches(review, diff) {
+  if (!Array.isArray(review.patches) || review.patches.length === 0) return review;
+  const { patches, dropped } = await validatePatches(review.patches, { diff });
+  return { ...review, patches, droppedPatches: dropped };
+}
+
 /**
  * PR Review Endpoint
+ * Query: minSeverity, category, minConfidence, sort (see parseFindingQuery)
  */
 router.post("/", async (req, res) => {
   try {
     const { 
       title = "", 
       description = "", 
-      diffs = "", 
       filesChanged = [] 
     } = req.body || {};
+    let { diffs = "" } = req.body || {};
     
     // Validate input
-    const errors = validatePRInput(req.body);
+    const findingQuery = parseFindingQuery(req.query);
+    const errors = [...validatePRInput(req.body), ...findingQuery.errors];
     if (errors.length > 0) {
       console.warn("❌ Validation failed:", errors);
       return res.status(400).json({
@@ -197,83 +175,81 @@ router.post("/", async (req, res) => {
     // Sanitize inputs
     const safeTitle = typeof title === "string" ? title.substring(0, 500) : "";
     const safeDescription = typeof description === "string" ? description.substring(0, 5000) : "";
-    const safeFilesChanged = Array.isArray(filesChanged) 
+    let safeFilesChanged = Array.isArray(filesChanged) 
       ? filesChanged.slice(0, 100).filter(f => typeof f === "string")
       : [];
-    
-    // Generate prompt
-    const prompt = reviewPrompt(safeTitle, safeDescription, diffs, safeFilesChanged);
-    
-    if (!prompt || prompt.length === 0) {
-      throw new Error("Failed to generate prompt");
-    }
 
-    console.log("🤖 Calling AI model for review...");
-    
-    // Call AI model with extended tokens for detailed review
-    let result;
-    try {
-      result = await callModel("gemini-2.0-pro", [{ role: "user", content: prompt }], 2000);
-    } catch (modelErr) {
-      console.error("❌ Model call failed:", modelErr.message);
-      throw new Error("AI service unavailable: " + modelErr.message);
+    // Fall back to the files named in the diff itself
+    if (safeFilesChanged.length === 0) {
+      safeFilesChanged = parseDiff(diffs).map(f => f.path).filter(Boolean).slice(0, 100);
     }
-
-    if (!result) {
-      throw new Error("Null response from AI model");
+    
+    // Drop lockfiles, bundles, snapshots, vendored, generated and binary files
+    const { diff: reviewableDiff, skipped: skippedFiles } = filterReviewFiles(diffs, {
+      skipGenerated: req.body.skipGenerated,
+      alwaysReview: Array.isArray(req.body.alwaysReview) ? req.body.alwaysReview : undefined
+    });
+    if (skippedFiles.length > 0) {
+      console.log(`🙈 Skipping ${skippedFiles.length} file(s):`, skippedFiles.map(f => `${f.path} (${f.reason})`).join(", "));
+      diffs = reviewableDiff;
+      safeFilesChanged = safeFilesChanged.filter(f => !skippedFiles.some(s => s.path === f));
     }
-
-    if (!result.choices || !Array.isArray(result.choices) || result.choices.length === 0) {
-      console.error("❌ Invalid response structure: no choices array");
-      return res.status(500).json({
-        error: "Invalid API response structure",
-        ...createDefaultReview()
+    if (diffs.trim().length === 0) {
+      return res.json({
+        ...createDefaultReview(),
+        summary: "Only generated, vendored or binary files changed - nothing to review.",
+        skippedFiles,
+        timestamp: new Date().toISOString(),
+        filesAnalyzed: 0
       });
     }
 
-    const responseText = result.choices[0].message?.content;
-    
-    if (!responseText || typeof responseText !== "string") {
-      console.error("❌ No content in response");
-      return res.status(500).json({
-        error: "Empty response from AI model",
-        ...createDefaultReview()
-      });
+    // Linters on the changed files of a local checkout; their findings go to the model as context
+    let diagnostics = [];
+    let staticAnalysis;
+    if (req.body.workdir) {
+      const { workdir } = resolveWorkdir(req.body.workdir);
+      const analysis = await runStaticAnalysis(workdir, diffs, { analyzers: req.body.analyzers });
+      diagnostics = analysis.diagnostics;
+      staticAnalysis = analysis.analyzers;
     }
 
-    if (responseText.trim().length === 0) {
-      console.warn("⚠️  Empty response text from AI");
-      return res.status(500).json({
-        error: "AI returned empty response",
-        ...createDefaultReview()
-      });
-    }
+    // Secrets are redacted from the prompt by callModel and reported as findings here
+    const secrets = scanDiffForSecrets(diffs);
+    if (secrets.length > 0) console.log(`🔒 ${secrets.length} committed secret(s) found`);
 
-    console.log("📝 Processing AI response (" + responseText.length + " bytes)...");
-    
-    let reviewData;
+    // Diffs over the chunk budget are reviewed in chunks and merged; the prompt keeps
+    // instructions in the system message and the PR itself in the user message
+    if (diffs.length > getChunkBudget()) console.log("🧩 Diff over the chunk budget, reviewing in chunks...");
+    console.log("🤖 Calling AI model for review...");
+
+    let review;
     try {
-      reviewData = extractJSON(responseText);
-    } catch (parseErr) {
-      console.warn("⚠️  JSON parsing failed:", parseErr.message);
-      console.log("📌 Response preview:", responseText.substring(0, 500));
-      
-      // Return structured response with text fallback
-      return res.json({
-        ...createDefaultReview(),
-        summary: responseText.substring(0, 2000),
-        rawResponse: true,
-        timestamp: new Date().toISOString()
+      review = await generateReview({
+        title: safeTitle,
+        description: safeDescription,
+        diff: diffs,
+        filesChanged: safeFilesChanged,
+        diagnostics
       });
+    } catch (modelErr) {
+      console.error("❌ Model call failed:", modelErr.message);
+      throw new Error("AI service unavailable: " + modelErr.message);
+    }
+
+    review.comments = addSecretFindings(review.comments || [], secrets);
+
+    // Plain-text answers come back as rawResponse, still with the secret and static analysis findings
+    if (review.rawResponse) {
+      console.log("📌 Response preview:", String(review.summary || "").substring(0, 500));
+    } else {
+      console.log(`✅ PR review completed: ${review.comments.length} comments, ${review.patches?.length || 0} patches`);
     }
 
-    // Validate and sanitize review data
-    const validatedReview = validateReview(reviewData);
-    
-    console.log(`✅ PR review completed: ${validatedReview.comments.length} comments, ${validatedReview.patches.length} patches`);
-    
     return res.json({
-      ...validatedReview,
+      ...applyFindingQuery(await checkPatches(review, diffs), findingQuery),
+      skippedFiles,
+      staticAnalysis,
       timestamp: new Date().toISOString(),
       filesAnalyzed: safeFilesChanged.length
     });
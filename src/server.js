@@ -11,11 +11,37 @@ const envPath = path.join(__dirname, "..", ".env");
 console.log(`Loading .env from: ${envPath}`);
 dotenv.config({ path: envPath });
 
-import { getPRDiff, postPRComment } from "./bitbucket.js";
-import { reviewDiff } from "./reviewpr.js";
+import { verifyWebhookSignature, verifyWebhookToken, loadWebhookSecrets, getSecretsForRepo, hasWebhookSecrets, parseSecrets } from "./utils/webhookSignature.js";
+import { requireAdminToken } from "./utils/apiAuth.js";
+import { loadRegistry, resolveRepository, getRegistrySummary, hasRegistryWebhookSecrets } from "./services/repoRegistry.js";
+import { initJobQueue, enqueueJob, findJob, getQueueStats } from "./services/jobQueue.js";
+import { getProvider, listProviders } from "./services/scm/index.js";
+import { publishReview, publishSummary, publishStickyComment, formatSummary, getReviewOutputs } from "./services/reviewPublisher.js";
+import { buildInsightsReport } from "./services/codeInsights.js";
+import { isBuildStatusEnabled, getFailOn, evaluateGate } from "./services/mergeGate.js";
+import { parseCommand, isAllowed, filterIgnoredFindings, REPLY_MARKER } from "./services/chatOps.js";
+import { prKey, getPRState, addIgnoredRule } from "./services/prState.js";
+import { filterDiffByPaths, findHunk } from "./services/diffParser.js";
+import { callModel, pickModel, getProviderStatus } from "./services/modelRouter.js";
+import { explainMessages, summarizeMessages } from "./services/prompts.js";
+import { createDefaultReview, generateReview } from "./services/reviewEngine.js";
+import { loadReviewConfig, formatConfigErrors, filterIgnoredFiles, applyConfigToComments, CONFIG_FILE } from "./services/reviewConfig.js";
+import { filterReviewFiles } from "./services/fileFilter.js";
+import { validatePatches } from "./services/patchValidator.js";
+import { scanDiffForSecrets, addSecretFindings } from "./services/secretScanner.js";
+import { findCheckout, runStaticAnalysis } from "./services/staticAnalysis.js";
+import { getTestMode, generateTestFiles, buildTestPatch, formatTestComment, TESTS_MARKER } from "./services/testGenerator.js";
+import chatRouter from "./routes/chat.js";
+import completionRouter from "./routes/completion.js";
+import jobsRouter from "./routes/jobs.js";
+import reviewPRRouter from "./routes/reviewPR.js";
 
 const app = express();
-app.use(bodyParser.json({ limit: "5mb" }));
+// Keep the raw body around so webhook signatures can be checked byte-for-byte
+app.use(bodyParser.json({
+  limit: "5mb",
+  verify: (req, res, buf) => { req.rawBody = buf; }
+}));
 
 const WORKSPACE = process.env.BITBUCKET_WORKSPACE || "airtel123";
 const REPO = process.env.BITBUCKET_REPO || "pr-reviewer-plugin";
@@ -23,6 +49,7 @@ const BITBUCKET_AUTH = process.env.BITBUCKET_AUTH;
 const PORT = process.env.PORT || 3000;
 const RENDER_URL = process.env.RENDER_EXTERNAL_URL;
 const WEBHOOK_URL = RENDER_URL ? `${RENDER_URL}/webhook` : `http://localhost:${PORT}/webhook`;
+const REVIEW_DEBOUNCE_MS = parseInt(process.env.REVIEW_DEBOUNCE_MS, 10) || 15000;
 
 const log = {
   info: (msg) => console.log("ℹ️", msg),
@@ -32,8 +59,13 @@ const log = {
 
 function validateEnvironment() {
   const errors = [];
-  if (!BITBUCKET_AUTH) errors.push("BITBUCKET_AUTH not set");
-  if (!BITBUCKET_AUTH || BITBUCKET_AUTH.trim().length === 0) errors.push("BITBUCKET_AUTH is empty");
+  const registry = loadRegistry();
+  const hasRegistry = Object.keys(registry.entries).length > 0;
+  // With a registry, credentials can come per repository instead of from BITBUCKET_AUTH
+  if (!hasRegistry) {
+    if (!BITBUCKET_AUTH) errors.push("BITBUCKET_AUTH not set");
+    if (!BITBUCKET_AUTH || BITBUCKET_AUTH.trim().length === 0) errors.push("BITBUCKET_AUTH is empty");
+  }
   if (BITBUCKET_AUTH && !BITBUCKET_AUTH.toLowerCase().includes("bearer") && !BITBUCKET_AUTH.toLowerCase().includes("basic") && !BITBUCKET_AUTH.includes("ATATT")) {
     errors.push("BITBUCKET_AUTH doesn't look like a valid app token (should start with ATATT, Bearer or Basic)");
   }
@@ -43,8 +75,18 @@ function validateEnvironment() {
     process.exit(1);
   }
   log.success("Environment validation passed");
-  log.info(`Workspace: ${WORKSPACE}`);
-  log.info(`Repository: ${REPO}`);
+  log.info(`Default workspace: ${WORKSPACE}`);
+  log.info(`Default repository: ${REPO}`);
+  log.info(`Registered repositories: ${Object.keys(registry.entries).join(", ") || "none"}`);
+  log.info(`Allowlist: ${registry.allowlist.join(", ") || "none"}`);
+
+  const secrets = loadWebhookSecrets();
+  const repoSecretCount = Object.keys(secrets.repos).length;
+  if (webhookSecretsEnforced()) {
+    log.info(`Webhook signatures enforced (${secrets.global.length} global, ${repoSecretCount} per-repo); deliveries without an applicable secret are rejected`);
+  } else {
+    log.info("⚠️ No webhook secret configured - webhook verification disabled");
+  }
 }
 
 validateEnvironment();
@@ -69,106 +111,562 @@ app.get("/health", (req, res) => {
     uptime: process.uptime(), 
     workspace: WORKSPACE, 
     repository: REPO,
+    repositories: getRegistrySummary(),
     auth_configured: !!BITBUCKET_AUTH,
     ai_providers: [
       process.env.GEMINI_API_KEY ? "Gemini" : null,
       process.env.GROQ_API_KEY ? "Groq" : null
-    ].filter(Boolean)
+    ].filter(Boolean),
+    ai_provider_health: getProviderStatus(),
+    jobs: getQueueStats()
   });
 });
 
-app.post("/webhook", async (req, res) => {
-  // Basic guard: only accept Pull Request events
-  const eventKey = (req.headers["x-event-key"] || req.headers["X-Event-Key"] || "").toString();
-  if (eventKey && !eventKey.startsWith("pullrequest:")) {
-    return res.status(204).json({ status: "ignored", reason: "unsupported event", event: eventKey });
+/**
+ * Set the review build status on the PR's head commit; failures are logged, not thrown
+ */
+async function reportBuildStatus(scm, ctx, job, state, description) {
+  if (!isBuildStatusEnabled(ctx.settings) || !ctx.commit) return;
+  try {
+    await scm.setStatus(ctx, {
+      state,
+      key: process.env.REVIEW_STATUS_KEY || "pr-reviewer",
+      name: "AI Code Review",
+      description,
+      url: RENDER_URL ? `${RENDER_URL}/jobs/${job.id}` : undefined
+    });
+    log.info(`🚦 Build status for ${ctx.commit.substring(0, 12)}: ${state} - ${description}`);
+  } catch (err) {
+    log.error(`Failed to set build status: ${err?.message || err}`);
   }
+}
+
+/**
+ * Resolve the SCM provider and context for a job.
+ * Re-resolved at run time so allowlist and credential changes apply to queued jobs.
+ */
+function resolveJobContext(job) {
+  const { prId, commit, provider: providerName = "bitbucket", repository: fullName = `${WORKSPACE}/${REPO}` } = job.payload;
+
+  const repoConfig = resolveRepository(fullName, providerName);
+  if (!repoConfig.allowed) throw new Error(repoConfig.reason);
+  if (!repoConfig.auth) throw new Error(`No ${providerName} credentials configured for ${fullName}`);
 
+  return { scm: getProvider(providerName), ctx: { ...repoConfig, prId, commit } };
+}
+
+/**
+ * Load .prreviewer.yml from the destination branch. An invalid file is reported
+ * on the PR and the review continues with the default settings.
+ */
+async function loadRepoConfig(scm, ctx, job) {
   try {
-    const pr = req.body?.pullrequest;
-    if (!pr || typeof pr !== "object") return res.status(400).json({ error: "Invalid payload: missing pullrequest object" });
+    const { found, config, errors } = await loadReviewConfig(scm, ctx, job.payload.baseBranch);
+    if (errors.length === 0) {
+      if (found) log.info(`⚙️ Loaded ${CONFIG_FILE}: ${Object.keys(config).join(", ") || "no settings"}`);
+      return config;
+    }
+
+    log.info(`⚠️ Invalid ${CONFIG_FILE} for PR #${ctx.prId}: ${errors.join("; ")}`);
+    // Only report once per job, not on every retry
+    if (job.attempts <= 1) {
+      await scm.postSummaryComment(ctx, formatConfigErrors(errors)).catch(err =>
+        log.info(`⚠️ Could not post ${CONFIG_FILE} errors: ${err.message}`));
+    }
+  } catch (err) {
+    log.info(`⚠️ Could not load ${CONFIG_FILE}, using defaults: ${err.message}`);
+  }
+  return {};
+}
 
-    let prId = pr.id;
-    if (!prId) return res.status(400).json({ error: "Invalid payload: missing id" });
-    if (typeof prId === "string") prId = parseInt(prId, 10);
-    if (typeof prId !== "number" || Number.isNaN(prId)) return res.status(400).json({ error: "Invalid PR ID" });
+// Generated test patches are kept on the job result, so cap their size
+const MAX_TEST_PATCH_CHARS = 200000;
 
-    log.info(`📌 Webhook received for PR #${prId} - Event: ${eventKey || 'unknown'}`);
+/**
+ * Turn the review's testCases into syntax-checked test files and offer them on the PR,
+ * pasted into a comment or (in patch mode) as a download from /jobs/:id/tests.patch.
+ * Never fails the review.
+ * @returns {Promise<object|null>} { files, rejected, testPatch? } or null when nothing was generated
+ */
+async function offerGeneratedTests(scm, ctx, job, review, diff, config, signal) {
+  const mode = getTestMode(config);
+  if (mode === "off" || !review.testCases?.length) return null;
 
+  try {
+    let pkg = null;
+    const pkgText = await scm.fetchFileContent(ctx, "package.json", ctx.commit).catch(() => null);
     try {
-      log.info(`📥 Fetching diff for PR #${prId}...`);
-      const diff = await getPRDiff(WORKSPACE, REPO, prId, BITBUCKET_AUTH);
-      if (!diff || diff.length === 0) {
+      if (typeof pkgText === "string") pkg = JSON.parse(pkgText);
+    } catch {
+      log.info("⚠️ package.json is not valid JSON, assuming node:test");
+    }
+
+    const generated = await generateTestFiles(review, diff, { pkg, model: config.model, provider: config.provider, signal });
+    log.info(`🧪 Generated ${generated.files.length} test file(s) with ${generated.framework}, rejected ${generated.rejected.length}`);
+    if (generated.files.length === 0) return null;
+
+    const outcome = { files: generated.files.map(f => f.path), rejected: generated.rejected };
+    let patchUrl = null;
+    if (mode === "patch") {
+      const patch = buildTestPatch(generated.files);
+      if (patch.length <= MAX_TEST_PATCH_CHARS) {
+        outcome.testPatch = patch;
+        patchUrl = RENDER_URL ? `${RENDER_URL}/jobs/${job.id}/tests.patch` : `/jobs/${job.id}/tests.patch`;
+      } else {
+        log.info(`⚠️ Test patch is ${patch.length} chars, posting the files inline instead`);
+      }
+    }
+
+    await publishStickyComment(scm, ctx, TESTS_MARKER, formatTestComment(generated, patchUrl));
+    return outcome;
+  } catch (err) {
+    log.info(`⚠️ Could not offer generated tests for PR #${ctx.prId}: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Run one queued review job: fetch diff, generate review, post comments.
+ * Throws on failure so the queue can retry with backoff.
+ */
+async function runReviewJob(job, { signal, progress }) {
+  const { prId, provider: providerName = "bitbucket", repository: fullName = `${WORKSPACE}/${REPO}`, paths = [] } = job.payload;
+  let scm = null;
+  let ctx = null;
+
+  try {
+    ({ scm, ctx } = resolveJobContext(job));
+
+    await reportBuildStatus(scm, ctx, job, "pending", "AI review in progress");
+
+    const config = await loadRepoConfig(scm, ctx, job);
+
+    log.info(`📥 Fetching diff for ${providerName}:${fullName} PR #${prId}...`);
+    let diff = await scm.fetchDiff(ctx);
+    const fullDiff = diff || "";
+    // Secrets are looked for in every changed file, including ones that are ignored or skipped below
+    const secrets = scanDiffForSecrets(fullDiff);
+    if (secrets.length > 0) log.info(`🔒 PR #${prId}: ${secrets.length} committed secret(s) found`);
+    // "/review path/to/file" narrows the review to matching files
+    if (diff && paths.length > 0) {
+      diff = filterDiffByPaths(diff, paths);
+      log.info(`🔎 Review limited to ${paths.join(", ")}`);
+    }
+    if (diff && config.ignore?.length) {
+      diff = filterIgnoredFiles(diff, config.ignore);
+    }
+    // Lockfiles, bundles, snapshots, vendored and generated files are listed, not reviewed
+    const { diff: reviewable, skipped } = filterReviewFiles(diff, config);
+    if (skipped.length > 0) {
+      log.info(`🙈 Skipping ${skipped.length} file(s): ${skipped.map(f => `${f.path} (${f.reason})`).join(", ")}`);
+      diff = reviewable;
+    }
+    diff = diff || "";
+    let staticAnalysis;
+    if (diff.length === 0 && secrets.length === 0) {
+      if (skipped.length === 0) {
         log.info(`⏭️ No changes for PR #${prId}, skipping review`);
-        return res.status(200).json({ status: "skipped", message: "No changes", prId });
+        await reportBuildStatus(scm, ctx, job, "success", "No changes to review");
+        return { status: "skipped", message: "No changes" };
       }
 
-      log.info(`🤖 Generating review for PR #${prId} (${diff.length} bytes of diff)...`);
-      const rawReview = await reviewDiff(diff);
-
-      // Normalize review content: support both string and structured object responses
-      let reviewText = "";
-      if (!rawReview) throw new Error("Empty review generated");
-
-      if (typeof rawReview === "string") {
-        reviewText = rawReview;
-      } else if (typeof rawReview === "object") {
-        // If API returned validated structure, format into markdown
-        if (rawReview.review && typeof rawReview.review === "string") {
-          reviewText = rawReview.review;
+      // Everything was filtered out: still tell the PR which files were skipped and why
+      log.info(`⏭️ No reviewable changes for PR #${prId}, posting the skipped files`);
+      const result = { status: "skipped", message: "No reviewable changes", skippedFiles: skipped.length };
+      if (getReviewOutputs(ctx.settings).includes("comments")) {
+        const summary = formatSummary({ summary: "No reviewable changes - every changed file was skipped.", skippedFiles: skipped });
+        Object.assign(result, await publishSummary(scm, ctx, summary));
+      }
+      await reportBuildStatus(scm, ctx, job, "success", "No reviewable changes");
+      return result;
+    }
+
+    let rawReview;
+    if (diff.length === 0) {
+      // Only committed secrets to report: nothing goes to the model
+      log.info(`⏭️ No reviewable changes for PR #${prId}, reporting committed secrets only`);
+      rawReview = { ...createDefaultReview(), summary: "No reviewable changes - every changed file was skipped." };
+    } else {
+      // Linters on a local checkout of the PR head, when there is one; the model gets their findings as context
+      let diagnostics = [];
+      if (process.env.STATIC_ANALYSIS_ROOT) {
+        const checkout = await findCheckout(fullName, ctx.commit, ctx.settings);
+        if (checkout.workdir) {
+          const analysis = await runStaticAnalysis(checkout.workdir, diff, { signal });
+          diagnostics = analysis.diagnostics;
+          staticAnalysis = analysis.analyzers;
         } else {
-          // Build markdown summary + inline comments
-          const parts = [];
-          if (rawReview.summary) parts.push(`**Summary**:\n\n${rawReview.summary}`);
-          if (Array.isArray(rawReview.comments) && rawReview.comments.length > 0) {
-            parts.push('\n**Comments:**');
-            rawReview.comments.slice(0, 200).forEach(c => {
-              const file = c.file || "<unknown>";
-              const comment = c.comment || "";
-              parts.push(`- **${file}**: ${comment}`);
-            });
-          }
-          if (Array.isArray(rawReview.patches) && rawReview.patches.length > 0) {
-            parts.push('\n**Suggested Patches:**');
-            rawReview.patches.slice(0, 20).forEach(p => {
-              parts.push(`- **${p.file}**\n\n\`\`\`diff\n${p.diff.substring(0,1000)}\n\`\`\``);
-            });
+          log.info(`⏭️ No static analysis for PR #${prId}: ${checkout.error}`);
+        }
+      }
+
+      log.info(`🤖 Generating review for PR #${prId} (${diff.length} bytes of diff)...`);
+      rawReview = await generateReview(
+        { title: job.payload.title, description: job.payload.description, diff, diagnostics },
+        {
+          ...config,
+          signal,
+          onProgress: (p) => {
+            progress?.(p);
+            if (p.phase === "chunks" && p.done > 0) log.info(`🧩 PR #${prId}: ${p.done}/${p.total} chunks reviewed`);
           }
-          reviewText = parts.join('\n\n') || JSON.stringify(rawReview).substring(0, 4000);
         }
+      );
+    }
+
+    // A newer commit arrived while we were reviewing - drop this stale result
+    if (signal?.aborted) {
+      log.info(`⏭️ Discarding stale review for PR #${prId} (commit ${job.payload.commit || "unknown"})`);
+      return { status: "discarded", reason: "superseded" };
+    }
+
+    // Drop finding types muted with /ignore on this PR, then apply the repo config
+    const { ignoredRules } = getPRState(prKey(providerName, fullName, prId));
+    if (ignoredRules.length > 0 && Array.isArray(rawReview.comments)) {
+      rawReview.comments = filterIgnoredFindings(rawReview.comments, ignoredRules, getFailOn(ctx.settings));
+    }
+    rawReview.comments = applyConfigToComments(rawReview.comments, config, getFailOn(ctx.settings));
+    // The model only saw placeholders; flag committed secrets at their exact lines. Added after the
+    // repo config so ignore globs and comment caps can't hide them
+    rawReview.comments = addSecretFindings(rawReview.comments || [], secrets);
+    rawReview.skippedFiles = skipped;
+
+    // Only patches that apply cleanly to the PR's changed files are published
+    if (rawReview.patches?.length > 0) {
+      const { patches, dropped } = await validatePatches(rawReview.patches, {
+        diff,
+        model: config.model,
+        provider: config.provider,
+        getFileContent: ctx.commit ? (filePath) => scm.fetchFileContent(ctx, filePath, ctx.commit) : null
+      });
+      if (dropped.length > 0) log.info(`🩹 Dropped ${dropped.length} patch(es) that don't apply`);
+      rawReview.patches = patches;
+      rawReview.droppedPatches = dropped;
+    }
+
+    const outputs = getReviewOutputs(ctx.settings);
+    const gate = evaluateGate(rawReview, getFailOn(ctx.settings));
+    const result = { status: "posted", diffBytes: diff.length, outputs, gatePassed: gate.passed, model: rawReview.model, chunks: rawReview.chunks };
+    if (staticAnalysis) result.staticAnalysis = staticAnalysis;
+
+    if (outputs.includes("insights")) {
+      if (!scm.publishReport) {
+        log.info(`⏭️ ${providerName} has no report support, skipping Code Insights`);
+      } else if (!ctx.commit) {
+        log.info(`⏭️ No head commit for PR #${prId}, skipping Code Insights`);
       } else {
-        throw new Error("Unsupported review format returned from backend");
+        const report = buildInsightsReport(rawReview, {
+          diffBytes: diff.length,
+          provider: rawReview.provider || rawReview.model,
+          gate
+        });
+        log.info(`📊 Publishing Code Insights report (${report.result}, ${report.annotations.length} annotations)...`);
+        result.report = await scm.publishReport(ctx, report);
       }
+    }
 
-      if (!reviewText || reviewText.trim().length === 0) throw new Error("Empty review text");
+    if (outputs.includes("comments")) {
+      // Structured reviews: findings inside the diff go inline, the rest into the summary.
+      // Anchored against the whole diff, so secrets in skipped files can go inline too
+      log.info(`📤 Publishing review to PR #${prId} (${rawReview.comments?.length || 0} comments)...`);
+      Object.assign(result, await publishReview(scm, ctx, rawReview, fullDiff, { signal }));
+    }
 
-      log.info(`📤 Posting review to PR #${prId} (${reviewText.length} characters)...`);
-      await postPRComment(WORKSPACE, REPO, prId, reviewText, BITBUCKET_AUTH);
-      log.success(`✨ Review completed for PR #${prId}`);
-      return res.status(200).json({ status: "success", message: "Review posted", prId });
-    } catch (err) {
-      log.error(`Error processing PR #${prId}: ${err?.message || err}`);
-      try {
-        if (err.stack) console.error(err.stack);
-        if (err.response) {
-          console.error("Error response status:", err.response.status);
-          try { console.error("Error response data:", JSON.stringify(err.response.data).substring(0,3000)); } catch (e) { console.error("(couldn't stringify err.response.data)"); }
-        }
-      } catch (loggingErr) {
-        console.error("Failed to log error details:", loggingErr);
+    const tests = await offerGeneratedTests(scm, ctx, job, rawReview, diff, config, signal);
+    if (tests) {
+      result.generatedTests = { files: tests.files, rejected: tests.rejected };
+      if (tests.testPatch) result.testPatch = tests.testPatch;
+    }
+
+    await reportBuildStatus(scm, ctx, job, gate.passed ? "success" : "failure", gate.description);
+
+    log.success(`✨ Review completed for PR #${prId}`);
+    return result;
+  } catch (err) {
+    log.error(`Error processing PR #${prId}: ${err?.message || err}`);
+    try {
+      if (err.stack) console.error(err.stack);
+      if (err.response) {
+        console.error("Error response status:", err.response.status);
+        try { console.error("Error response data:", JSON.stringify(err.response.data).substring(0,3000)); } catch (e) { console.error("(couldn't stringify err.response.data)"); }
       }
+    } catch (loggingErr) {
+      console.error("Failed to log error details:", loggingErr);
+    }
 
-      return res.status(500).json({ error: err?.message || "Processing error", prId });
+    // Don't leave the commit stuck "in progress" once retries are exhausted
+    if (scm && ctx && !signal?.aborted && job.attempts >= job.maxAttempts) {
+      await reportBuildStatus(scm, ctx, job, "failure", `AI review failed: ${err?.message || "unknown error"}`);
     }
-  } catch (err) {
-    log.error(`Webhook error: ${err?.message || err}`);
-    return res.status(500).json({ error: "Internal server error" });
+    throw err;
   }
+}
+
+/**
+ * Run one ChatOps command job and reply in the comment's thread
+ */
+async function runCommandJob(job) {
+  const { provider: providerName = "bitbucket", repository: fullName, prId, command, args, commentId, inline, author } = job.payload;
+  const { scm, ctx } = resolveJobContext(job);
+
+  const reply = (text) => scm.replyToComment(ctx, commentId, `${REPLY_MARKER}\n\n${text}`);
+
+  if (command === "denied") {
+    await reply(`Sorry ${author?.name || ""}, you don't have permission to run \`/${args}\` on this repository.`);
+    return { status: "denied", command: args };
+  }
+
+  if (command === "ignore") {
+    const rule = args.split(/\s+/)[0];
+    if (!rule) {
+      await reply("Usage: `/ignore <rule>` - e.g. `/ignore style` stops style findings on this PR.");
+      return { status: "invalid", command };
+    }
+    const rules = addIgnoredRule(prKey(providerName, fullName, prId), rule, author?.id);
+    await reply(`OK - \`${rule.toLowerCase()}\` findings will no longer be reported on this PR, except ones that block the merge. Ignored: ${rules.map(r => `\`${r}\``).join(", ")}`);
+    return { status: "replied", command, rules };
+  }
+
+  const diff = await scm.fetchDiff(ctx);
+  if (!diff || diff.length === 0) {
+    await reply("There are no changes in this pull request.");
+    return { status: "replied", command };
+  }
+
+  let messages;
+  if (command === "explain") {
+    const hunk = inline?.line ? findHunk(diff, inline.path, inline.line) : null;
+    if (!hunk) {
+      await reply("`/explain` works on inline comments attached to a changed line - I couldn't find a diff hunk for this comment.");
+      return { status: "replied", command };
+    }
+    messages = explainMessages(inline.path, hunk, args);
+  } else if (command === "summarize") {
+    messages = summarizeMessages(job.payload.title, job.payload.description, diff.substring(0, 90000));
+  } else {
+    throw new Error(`Unknown command: ${command}`);
+  }
+
+  log.info(`💬 Running /${command} for PR #${prId}...`);
+  const output = await callModel(pickModel("chat"), messages, 1000, { useCase: "chat" });
+  const answer = output?.choices?.[0]?.message?.content;
+  if (!answer) throw new Error("Invalid response from AI model");
+
+  await reply(answer);
+  return { status: "replied", command };
+}
+
+initJobQueue(async (job, options) => {
+  if (job.type === "command") return runCommandJob(job, options);
+  return runReviewJob(job, options);
 });
 
+app.use("/chat", requireAdminToken, chatRouter);
+app.use("/completion", requireAdminToken, completionRouter);
+app.use("/jobs", jobsRouter);
+app.use("/review-pr", requireAdminToken, reviewPRRouter);
+
+/**
+ * Repository the delivery is for; payloads without one fall back to the default repo
+ */
+function getPayloadRepository(body) {
+  return body?.repository?.full_name || body?.project?.path_with_namespace || `${WORKSPACE}/${REPO}`;
+}
+
+/**
+ * Secrets for a provider's webhook: registry secrets for the repository first,
+ * then a provider-specific env secret (e.g. GITHUB_WEBHOOK_SECRET), then WEBHOOK_SECRET(S)
+ */
+function webhookSecretsFor(providerName) {
+  return (req) => {
+    const fullName = getPayloadRepository(req.body);
+    const repoConfig = resolveRepository(fullName, providerName);
+    const secrets = parseSecrets(repoConfig.webhookSecrets);
+    if (secrets.length > 0) return secrets;
+
+    const providerSecrets = parseSecrets(process.env[`${providerName.toUpperCase()}_WEBHOOK_SECRET`]);
+    return providerSecrets.length > 0 ? providerSecrets : getSecretsForRepo(fullName);
+  };
+}
+
+/**
+ * True once any webhook secret is configured (registry, provider env or WEBHOOK_SECRET(S));
+ * from then on a delivery no secret applies to is rejected instead of trusted
+ */
+function webhookSecretsEnforced() {
+  return hasWebhookSecrets()
+    || hasRegistryWebhookSecrets()
+    || listProviders().some(name => parseSecrets(process.env[`${name.toUpperCase()}_WEBHOOK_SECRET`]).length > 0);
+}
+
+/**
+ * Queue the ChatOps command found in a PR comment, if any
+ */
+function handleCommentEvent(providerName, event, res) {
+  const { prId, commit, deliveryId, comment } = event;
+  const provider = getProvider(providerName);
+
+  const command = parseCommand(comment.body);
+  if (!command || !provider.replyToComment) {
+    return res.status(204).json({ status: "ignored", reason: "no command", event: event.eventKey });
+  }
+
+  const repoConfig = resolveRepository(event.repository || `${WORKSPACE}/${REPO}`, providerName);
+  if (!repoConfig.allowed) {
+    log.info(`⛔ Rejected ${providerName} command for PR #${prId}: ${repoConfig.reason}`);
+    return res.status(403).json({ error: "Repository not allowed", reason: repoConfig.reason, prId });
+  }
+  const { fullName } = repoConfig;
+
+  if (deliveryId) {
+    const seen = findJob(j => j.payload?.deliveryIds?.includes(deliveryId));
+    if (seen) {
+      log.info(`⏭️ Duplicate delivery ${deliveryId} for PR #${prId}`);
+      return res.status(200).json({ status: "duplicate", reason: "delivery already received", jobId: seen.id, prId });
+    }
+  }
+
+  log.info(`🗨️ /${command.name} from ${comment.author.name} on ${providerName}:${fullName} PR #${prId}`);
+
+  const base = {
+    provider: providerName,
+    repository: fullName,
+    prId,
+    commit,
+    baseBranch: event.baseBranch,
+    deliveryIds: deliveryId ? [deliveryId] : []
+  };
+
+  let job;
+  if (!isAllowed(command.name, comment.author, repoConfig.settings)) {
+    log.info(`⛔ ${comment.author.name} may not run /${command.name}`);
+    job = enqueueJob("command", { ...base, command: "denied", args: command.name, commentId: comment.id, author: comment.author });
+  } else if (command.name === "review") {
+    // Re-runs share the PR key with webhook reviews, so they coalesce instead of stacking up
+    job = enqueueJob("review", {
+      ...base,
+      eventKey: event.eventKey,
+      paths: command.args ? command.args.split(/\s+/) : [],
+      requestedBy: comment.author.id,
+      title: event.title,
+      description: event.description
+    }, {
+      key: `pr:${providerName}:${fullName.toLowerCase()}#${prId}`,
+      merge: (prev, next) => ({ ...next, deliveryIds: [...(prev.deliveryIds || []), ...next.deliveryIds] })
+    });
+  } else {
+    job = enqueueJob("command", {
+      ...base,
+      command: command.name,
+      args: command.args,
+      commentId: comment.parentId || comment.id,
+      inline: comment.inline,
+      author: comment.author,
+      title: event.title,
+      description: event.description
+    });
+  }
+
+  return res.status(202).json({ status: "queued", jobId: job.id, command: command.name, prId, statusUrl: `/jobs/${job.id}` });
+}
+
+/**
+ * Build the webhook handler for one SCM provider
+ */
+function createWebhookHandler(providerName) {
+  const provider = getProvider(providerName);
+
+  return async (req, res) => {
+    try {
+      const event = provider.parseEvent(req.headers, req.body);
+
+      if (event.kind === "ignored") {
+        return res.status(204).json({ status: "ignored", reason: event.reason, event: event.eventKey });
+      }
+      if (event.kind === "invalid") {
+        return res.status(400).json({ error: event.error });
+      }
+
+      if (event.kind === "comment") {
+        return handleCommentEvent(providerName, event, res);
+      }
+
+      const { prId, commit, deliveryId, eventKey } = event;
+
+      const repoConfig = resolveRepository(event.repository || `${WORKSPACE}/${REPO}`, providerName);
+      if (!repoConfig.allowed) {
+        log.info(`⛔ Rejected ${providerName} webhook for PR #${prId}: ${repoConfig.reason}`);
+        return res.status(403).json({ error: "Repository not allowed", reason: repoConfig.reason, prId });
+      }
+      const { fullName } = repoConfig;
+
+      log.info(`📌 Webhook received for ${providerName}:${fullName} PR #${prId} - Event: ${eventKey || 'unknown'}, Commit: ${commit || 'unknown'}`);
+
+      // Idempotency: redeliveries carry the same delivery ID (X-Request-UUID / X-GitHub-Delivery)
+      if (deliveryId) {
+        const seen = findJob(j => j.payload?.deliveryIds?.includes(deliveryId));
+        if (seen) {
+          log.info(`⏭️ Duplicate delivery ${deliveryId} for PR #${prId}`);
+          return res.status(200).json({ status: "duplicate", reason: "delivery already received", jobId: seen.id, prId });
+        }
+      }
+
+      // Same PR + same source commit is already queued, running or reviewed
+      if (commit) {
+        const existing = findJob(j =>
+          (j.payload?.provider || "bitbucket") === providerName
+          && j.payload?.repository === fullName && j.payload?.prId === prId && j.payload?.commit === commit
+          && ["queued", "running", "succeeded"].includes(j.status)
+        );
+        if (existing) {
+          log.info(`⏭️ Commit ${commit} of PR #${prId} already handled by job ${existing.id}`);
+          return res.status(200).json({ status: "duplicate", reason: "commit already reviewed", jobId: existing.id, prId });
+        }
+      }
+
+      // Respond right away; SCMs retry slow deliveries, which used to cause duplicate reviews.
+      // Rapid updates for one PR are debounced into a single review of the latest commit.
+      const job = enqueueJob("review", {
+        provider: providerName,
+        repository: fullName,
+        prId,
+        commit,
+        baseBranch: event.baseBranch,
+        eventKey,
+        title: event.title,
+        description: event.description,
+        deliveryIds: deliveryId ? [deliveryId] : []
+      }, {
+        key: `pr:${providerName}:${fullName.toLowerCase()}#${prId}`,
+        delayMs: event.action === "updated" ? REVIEW_DEBOUNCE_MS : 0,
+        merge: (prev, next) => ({ ...next, deliveryIds: [...(prev.deliveryIds || []), ...next.deliveryIds] })
+      });
+      log.info(`🗂️ Queued review job ${job.id} for PR #${prId}${job.coalesced ? ` (coalesced ${job.coalesced}x)` : ""}`);
+      return res.status(202).json({ status: "queued", jobId: job.id, provider: providerName, repository: fullName, prId, commit, statusUrl: `/jobs/${job.id}` });
+    } catch (err) {
+      log.error(`Webhook error: ${err?.message || err}`);
+      return res.status(500).json({ error: "Internal server error" });
+    }
+  };
+}
+
+app.post("/webhook",
+  verifyWebhookSignature({ header: getProvider("bitbucket").signatureHeader, getSecrets: webhookSecretsFor("bitbucket"), isEnforced: webhookSecretsEnforced }),
+  createWebhookHandler("bitbucket"));
+
+app.post("/webhook/github",
+  verifyWebhookSignature({ header: getProvider("github").signatureHeader, getSecrets: webhookSecretsFor("github"), isEnforced: webhookSecretsEnforced }),
+  createWebhookHandler("github"));
+
+app.post("/webhook/gitlab",
+  verifyWebhookToken({ header: getProvider("gitlab").tokenHeader, getSecrets: webhookSecretsFor("gitlab"), isEnforced: webhookSecretsEnforced }),
+  createWebhookHandler("gitlab"));
+
 app.listen(PORT, () => {
   log.success(`Server running on port ${PORT}`);
   log.info(`Webhook URL: ${WEBHOOK_URL}`);
+  log.info(`GitHub webhook URL: ${WEBHOOK_URL}/github`);
+  log.info(`GitLab webhook URL: ${WEBHOOK_URL}/gitlab`);
   
   if (RENDER_URL) {
     log.success(`🚀 Deployed on Render.com`);
@@ -0,0 +1,100 @@
+/**
+ * ChatOps
+ * Parses reviewer commands from PR comments and checks who may run them.
+ *
+ * Commands (optionally prefixed with the bot mention, default "@reviewer"):
+ *   /review [path]   re-run the review, optionally for one file or directory
+ *   /explain         explain the hunk an inline comment is attached to
+ *   /summarize       summarize the pull request
+ *   /ignore <rule>   stop reporting a finding type (category or rule) on this PR
+ *
+ * /ignore changes what later reviews report, so nobody may run it until it is granted
+ * in the permission map; findings that would fail the merge gate are never muted.
+ */
+import { isBlockingFinding } from "./mergeGate.js";
+
+export const COMMANDS = ["review", "explain", "summarize", "ignore"];
+
+// State-changing commands: denied unless the permission map lists who may run them
+const RESTRICTED_COMMANDS = ["ignore"];
+
+// Marks the bot's own replies so they are never parsed as commands
+export const REPLY_MARKER = "[//]: # (pr-reviewer:reply)";
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Find the first command in a comment
+ * @param {string} text - Comment body
+ * @param {string} mention - Bot mention (CHATOPS_MENTION, default "@reviewer")
+ * @returns {object|null} { name, args } or null when the comment has no command
+ */
+export function parseCommand(text, mention = process.env.CHATOPS_MENTION || "@reviewer") {
+  if (!text || typeof text !== "string" || text.includes("pr-reviewer:")) return null;
+
+  const pattern = new RegExp(`^\\s*(?:${escapeRegExp(mention)}\\s+)?/(${COMMANDS.join("|")})\\b(.*)$`, "i");
+
+  for (const line of text.split("\n")) {
+    const match = line.match(pattern);
+    if (match) {
+      return { name: match[1].toLowerCase(), args: match[2].trim() };
+    }
+  }
+  return null;
+}
+
+/**
+ * Load the permission map: repo setting chatopsPermissions, then CHATOPS_PERMISSIONS (JSON).
+ * Shape: { "<command>": ["account_id" | "uuid" | "nickname" | "*"] }. Commands not listed are open to
+ * everyone, except restricted ones (/ignore), which are denied.
+ * @param {object} settings - Repository settings from the registry
+ * @returns {object} Permission map
+ */
+export function getPermissions(settings = {}) {
+  if (settings.chatopsPermissions && typeof settings.chatopsPermissions === "object") {
+    return settings.chatopsPermissions;
+  }
+  if (process.env.CHATOPS_PERMISSIONS) {
+    try {
+      return JSON.parse(process.env.CHATOPS_PERMISSIONS);
+    } catch (err) {
+      console.warn("⚠️  Ignoring invalid CHATOPS_PERMISSIONS:", err.message);
+    }
+  }
+  return {};
+}
+
+/**
+ * Whether a user may run a command
+ * @param {string} command - Command name
+ * @param {object} author - { ids: string[] }
+ * @param {object} settings - Repository settings from the registry
+ * @returns {boolean}
+ */
+export function isAllowed(command, author, settings = {}) {
+  const allowed = getPermissions(settings)[command];
+  if (!Array.isArray(allowed)) return !RESTRICTED_COMMANDS.includes(command);
+  if (allowed.includes("*")) return true;
+
+  const ids = (author?.ids || []).map(id => String(id).toLowerCase());
+  return allowed.some(entry => ids.includes(String(entry).toLowerCase()));
+}
+
+/**
+ * Drop findings muted with /ignore (matched on category or rule). Findings that
+ * fail the merge gate are kept, so /ignore can't be used to get a PR through it.
+ * @param {object[]} comments - Review comments
+ * @param {string[]} ignoredRules - Muted rules (lower-case)
+ * @param {object} failOn - Output of mergeGate.getFailOn()
+ * @returns {object[]} Remaining comments
+ */
+export function filterIgnoredFindings(comments, ignoredRules, failOn) {
+  if (!Array.isArray(comments) || !ignoredRules?.length) return comments;
+  return comments.filter(c => {
+    if (failOn && isBlockingFinding(c, failOn)) return true;
+    const tags = [c?.category, c?.rule].filter(Boolean).map(t => String(t).toLowerCase());
+    return !tags.some(t => ignoredRules.includes(t));
+  });
+}
@@ -0,0 +1,88 @@
+/**
+ * Code Insights Report Builder
+ * Converts a structured review into a provider-neutral report: a PASSED/FAILED result,
+ * summary data fields and one annotation per finding. SCM adapters that support
+ * reports (Bitbucket Code Insights) publish it via publishReport(ctx, report).
+ */
+import { normalizePath } from "./diffParser.js";
+
+const SEVERITY_MAP = {
+  critical: "CRITICAL",
+  blocker: "CRITICAL",
+  high: "HIGH",
+  major: "HIGH",
+  medium: "MEDIUM",
+  minor: "MEDIUM",
+  low: "LOW",
+  nit: "LOW",
+  info: "LOW"
+};
+
+const TYPE_MAP = {
+  security: "VULNERABILITY",
+  bug: "BUG"
+};
+
+// Annotations at or above this severity fail the report
+const FAILING_SEVERITIES = ["CRITICAL", "HIGH"];
+
+const MAX_ANNOTATIONS = 1000;
+
+/**
+ * Map a finding's severity onto the report scale (defaults to MEDIUM)
+ * @param {string} severity - Severity from the review
+ * @returns {string} CRITICAL | HIGH | MEDIUM | LOW
+ */
+export function toReportSeverity(severity) {
+  return SEVERITY_MAP[String(severity || "").toLowerCase()] || "MEDIUM";
+}
+
+/**
+ * Build the report for a review
+ * @param {object} review - { summary, comments: [{ file, line, comment, severity, category }] }
+ * @param {object} meta - { diffBytes, provider, gate } - gate (from evaluateGate) decides the result when given
+ * @returns {object} { title, details, result, data, annotations }
+ */
+export function buildInsightsReport(review, meta = {}) {
+  const comments = Array.isArray(review?.comments) ? review.comments : [];
+
+  const annotations = comments
+    .filter(c => c && typeof c.comment === "string" && c.comment.trim().length > 0)
+    .slice(0, MAX_ANNOTATIONS)
+    .map((c, idx) => {
+      const line = Number(c.line);
+      const annotation = {
+        external_id: `finding-${idx + 1}`,
+        annotation_type: TYPE_MAP[String(c.category || "").toLowerCase()] || "CODE_SMELL",
+        severity: toReportSeverity(c.severity),
+        summary: c.comment.trim().substring(0, 450),
+        details: c.comment.trim().length > 450 ? c.comment.trim().substring(0, 2000) : undefined
+      };
+      const filePath = normalizePath(c.file);
+      if (filePath) annotation.path = filePath;
+      if (Number.isInteger(line) && line > 0) annotation.line = line;
+      return annotation;
+    });
+
+  const counts = { CRITICAL: 0, HIGH: 0, MEDIUM: 0, LOW: 0 };
+  annotations.forEach(a => counts[a.severity]++);
+
+  const failed = meta.gate
+    ? !meta.gate.passed
+    : annotations.some(a => FAILING_SEVERITIES.includes(a.severity));
+
+  return {
+    title: "AI Code Review",
+    details: (typeof review?.summary === "string" ? review.summary : "AI code review").substring(0, 2000),
+    result: failed ? "FAILED" : "PASSED",
+    data: [
+      { title: "Critical issues", type: "NUMBER", value: counts.CRITICAL },
+      { title: "High issues", type: "NUMBER", value: counts.HIGH },
+      { title: "Medium issues", type: "NUMBER", value: counts.MEDIUM },
+      { title: "Low issues", type: "NUMBER", value: counts.LOW },
+      { title: "AI provider", type: "TEXT", value: String(meta.provider || "unknown") },
+      { title: "Diff size (bytes)", type: "NUMBER", value: meta.diffBytes || 0 }
+    ],
+    annotations
+  };
+}
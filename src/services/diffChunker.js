@@ -0,0 +1,119 @@
+/**
+ * Diff Chunker
+ * Splits a large unified diff into chunks that fit a provider's context budget:
+ * whole files where possible, hunk groups for big files, and sub-hunks for huge hunks.
+ * Every chunk is a valid unified diff with the file headers repeated.
+ */
+import { parseDiff, formatHunk } from "./diffParser.js";
+import { getModelProvider } from "./providers/index.js";
+
+const DEFAULT_BUDGET = 20000;
+const MIN_BUDGET = 2000;
+
+/**
+ * Diff characters per chunk: REVIEW_CHUNK_CHARS, else the provider's budget
+ * @param {string} provider - Preferred provider (unknown providers get the conservative default)
+ * @returns {number} Max characters of diff per chunk
+ */
+export function getChunkBudget(provider) {
+  const fromEnv = parseInt(process.env.REVIEW_CHUNK_CHARS, 10);
+  if (!Number.isNaN(fromEnv) && fromEnv >= MIN_BUDGET) return fromEnv;
+  // Providers declare their budget in the registry (see providers/index.js)
+  return getModelProvider(provider)?.chunkChars || DEFAULT_BUDGET;
+}
+
+/**
+ * Split one hunk into sub-hunks of at most maxChars, with recomputed @@ headers
+ */
+function splitHunk(hunk, maxChars) {
+  const pieces = [];
+  let oldStart = hunk.oldStart;
+  let newStart = hunk.newStart;
+  let current = [];
+  let size = 0;
+
+  const flush = () => {
+    if (current.length === 0) return;
+    const oldLines = current.filter(l => l.type !== "add").length;
+    const newLines = current.filter(l => l.type !== "del").length;
+    pieces.push(formatHunk({
+      header: `@@ -${oldStart},${oldLines} +${newStart},${newLines} @@ ${hunk.section}`.trimEnd(),
+      lines: current
+    }));
+    oldStart += oldLines;
+    newStart += newLines;
+    current = [];
+    size = 0;
+  };
+
+  // Leave room for the recomputed header
+  const headerRoom = hunk.header.length + 20;
+
+  for (const line of hunk.lines) {
+    const length = line.content.length + 2;
+    if (size + length + headerRoom > maxChars) flush();
+    current.push(line);
+    size += length;
+  }
+  flush();
+
+  return pieces;
+}
+
+/**
+ * Split a diff into chunks of at most maxChars (a single oversized line can exceed it)
+ * @param {string} diff - Unified diff
+ * @param {number} maxChars - Budget per chunk
+ * @returns {object[]} [{ files: string[], text }]
+ */
+export function chunkDiff(diff, maxChars = getChunkBudget()) {
+  const chunks = [];
+  let current = { files: [], parts: [], size: 0 };
+
+  const flush = () => {
+    if (current.parts.length === 0) return;
+    chunks.push({ files: current.files, text: current.parts.join("\n") });
+    current = { files: [], parts: [], size: 0 };
+  };
+
+  const add = (path, text) => {
+    if (current.size + text.length + 1 > maxChars) flush();
+    if (!current.files.includes(path)) current.files.push(path);
+    current.parts.push(text);
+    current.size += text.length + 1;
+  };
+
+  for (const file of parseDiff(diff)) {
+    if (file.text.length <= maxChars) {
+      add(file.path, file.text);
+      continue;
+    }
+
+    // Too big for one chunk: group its hunks, repeating the file headers in each group
+    const header = file.headers.join("\n");
+    const room = Math.max(maxChars - header.length - 1, MIN_BUDGET);
+    let group = [];
+    let groupSize = 0;
+
+    const flushGroup = () => {
+      if (group.length === 0) return;
+      add(file.path, `${header}\n${group.join("\n")}`);
+      group = [];
+      groupSize = 0;
+    };
+
+    for (const hunk of file.hunks) {
+      const text = formatHunk(hunk);
+      const pieces = text.length > room ? splitHunk(hunk, room) : [text];
+      for (const piece of pieces) {
+        if (groupSize + piece.length + 1 > room) flushGroup();
+        group.push(piece);
+        groupSize += piece.length + 1;
+      }
+    }
+    flushGroup();
+  }
+
+  flush();
+  return chunks;
+}
@@ -0,0 +1,315 @@
+/**
+ * Unified Diff Parser
+ * Parses git and plain unified diffs into a file/hunk/line model; the helpers
+ * below (commentable lines, per-file splitting, filtering, hunk lookup) build on it.
+ */
+
+/**
+ * Normalize a file path from a diff header or model output
+ * ("b/src/a.js", "./src/a.js", "/src/a.js" -> "src/a.js")
+ * @param {string} filePath - Raw path
+ * @returns {string} Normalized path
+ */
+export function normalizePath(filePath) {
+  if (!filePath || typeof filePath !== "string") return "";
+  return filePath.trim().replace(/^[ab]\//, "").replace(/^\.\//, "").replace(/^\/+/, "");
+}
+
+const HUNK_HEADER = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@ ?(.*)$/;
+
+/**
+ * Unquote a git path ("\"a/with space\"" or "a/plain") and drop the a/ b/ prefix
+ */
+function parseGitPath(raw) {
+  let value = raw.trim();
+  if (value.startsWith("\"") && value.endsWith("\"")) {
+    value = value.slice(1, -1).replace(/\\(["\\])/g, "$1").replace(/\\t/g, "\t").replace(/\\n/g, "\n");
+  }
+  return value === "/dev/null" ? null : normalizePath(value);
+}
+
+/**
+ * Split "diff --git a/x b/y" into its two paths. Unquoted paths with spaces are
+ * ambiguous; prefer the split where both sides name the same file.
+ */
+function parseGitHeader(line) {
+  const rest = line.slice("diff --git ".length);
+  const quoted = rest.match(/^("(?:[^"\\]|\\.)*"|\S+) ("(?:[^"\\]|\\.)*"|\S+)$/);
+  if (quoted) return { oldPath: parseGitPath(quoted[1]), newPath: parseGitPath(quoted[2]) };
+
+  const same = rest.match(/^a\/(.+) b\/\1$/);
+  if (same) return { oldPath: same[1], newPath: same[1] };
+
+  const split = rest.match(/^a\/(.+?) b\/(.+)$/);
+  return split ? { oldPath: split[1], newPath: split[2] } : { oldPath: null, newPath: null };
+}
+
+function createFile(headerLine) {
+  return {
+    oldPath: null,
+    newPath: null,
+    path: "",
+    status: "modified",
+    isNew: false,
+    isDeleted: false,
+    isRenamed: false,
+    isCopied: false,
+    isBinary: false,
+    oldMode: null,
+    newMode: null,
+    similarity: null,
+    headers: headerLine ? [headerLine] : [],
+    hunks: [],
+    lines: headerLine ? [headerLine] : []
+  };
+}
+
+function finishFile(file) {
+  if (file.isNew) file.oldPath = null;
+  if (file.isDeleted) file.newPath = null;
+  file.path = file.newPath || file.oldPath || "";
+  file.status = file.isNew ? "added"
+    : file.isDeleted ? "deleted"
+      : file.isRenamed ? "renamed"
+        : file.isCopied ? "copied"
+          : "modified";
+  file.additions = file.hunks.reduce((n, h) => n + h.lines.filter(l => l.type === "add").length, 0);
+  file.deletions = file.hunks.reduce((n, h) => n + h.lines.filter(l => l.type === "del").length, 0);
+  file.text = file.lines.join("\n");
+  delete file.lines;
+  return file;
+}
+
+/**
+ * Parse a unified diff (git or plain) into files, hunks and lines.
+ *
+ * Each file: { path, oldPath, newPath, status: added|deleted|renamed|copied|modified,
+ *   isNew, isDeleted, isRenamed, isCopied, isBinary, oldMode, newMode, similarity,
+ *   additions, deletions, headers: string[], hunks, text }
+ * Each hunk: { header, oldStart, oldLines, newStart, newLines, section, lines }
+ * Each line: { type: add|del|context, content, oldLine, newLine, noNewline? }
+ * - oldLine is null for added lines, newLine is null for removed lines.
+ * - noNewline marks a line followed by "\ No newline at end of file".
+ * @param {string} diff - Unified diff
+ * @returns {object[]} Parsed files in diff order
+ */
+export function parseDiff(diff) {
+  if (!diff || typeof diff !== "string") return [];
+
+  const files = [];
+  let file = null;
+  let hunk = null;
+  let oldLine = 0;
+  let newLine = 0;
+  let oldLeft = 0;
+  let newLeft = 0;
+
+  const startFile = (headerLine) => {
+    if (file) files.push(finishFile(file));
+    file = createFile(headerLine);
+    hunk = null;
+    return file;
+  };
+
+  const lines = diff.split("\n");
+  // A trailing newline is not an extra (empty context) line
+  if (lines.length > 0 && lines[lines.length - 1] === "") lines.pop();
+
+  for (const line of lines) {
+    // Inside a hunk the header counts say how many lines belong to it,
+    // so removed lines that look like "--- x" are not mistaken for headers
+    if (hunk && (oldLeft > 0 || newLeft > 0)) {
+      const marker = line[0];
+      if (marker === "+" && newLeft > 0) {
+        hunk.lines.push({ type: "add", content: line.slice(1), oldLine: null, newLine: newLine++ });
+        newLeft--;
+      } else if (marker === "-" && oldLeft > 0) {
+        hunk.lines.push({ type: "del", content: line.slice(1), oldLine: oldLine++, newLine: null });
+        oldLeft--;
+      } else if ((marker === " " || line === "") && oldLeft > 0 && newLeft > 0) {
+        // Some tools strip the leading space from empty context lines
+        hunk.lines.push({ type: "context", content: line.slice(1), oldLine: oldLine++, newLine: newLine++ });
+        oldLeft--;
+        newLeft--;
+      } else if (marker === "\\") {
+        if (hunk.lines.length > 0) hunk.lines[hunk.lines.length - 1].noNewline = true;
+      } else {
+        // Truncated or miscounted hunk - fall through and treat the line as a header
+        hunk = null;
+      }
+      if (hunk) {
+        file.lines.push(line);
+        continue;
+      }
+    }
+
+    if (line.startsWith("\\") && hunk) {
+      if (hunk.lines.length > 0) hunk.lines[hunk.lines.length - 1].noNewline = true;
+      file.lines.push(line);
+      continue;
+    }
+
+    if (line.startsWith("diff --git ")) {
+      const { oldPath, newPath } = parseGitHeader(line);
+      const next = startFile(line);
+      next.oldPath = oldPath;
+      next.newPath = newPath;
+      continue;
+    }
+
+    const header = line.match(HUNK_HEADER);
+    if (header) {
+      if (!file) startFile(null);
+      hunk = {
+        header: line,
+        oldStart: parseInt(header[1], 10),
+        oldLines: header[2] === undefined ? 1 : parseInt(header[2], 10),
+        newStart: parseInt(header[3], 10),
+        newLines: header[4] === undefined ? 1 : parseInt(header[4], 10),
+        section: header[5] || "",
+        lines: []
+      };
+      file.hunks.push(hunk);
+      file.lines.push(line);
+      oldLine = hunk.oldStart;
+      newLine = hunk.newStart;
+      oldLeft = hunk.oldLines;
+      newLeft = hunk.newLines;
+      continue;
+    }
+
+    if (line.startsWith("--- ")) {
+      // Plain unified diffs have no "diff --git" line; a second ---/+++ pair starts the next file
+      if (!file || file.hunks.length > 0) startFile(null);
+      file.oldPath = parseGitPath(line.slice(4).split("\t")[0]);
+      if (file.oldPath === null) file.isNew = true;
+      file.headers.push(line);
+      file.lines.push(line);
+      continue;
+    }
+
+    if (line.startsWith("+++ ") && file) {
+      file.newPath = parseGitPath(line.slice(4).split("\t")[0]);
+      if (file.newPath === null) file.isDeleted = true;
+      file.headers.push(line);
+      file.lines.push(line);
+      continue;
+    }
+
+    if (!file) continue;
+
+    // Git extended headers
+    let match;
+    if ((match = line.match(/^new file mode (\d+)/))) {
+      file.isNew = true;
+      file.newMode = match[1];
+    } else if ((match = line.match(/^deleted file mode (\d+)/))) {
+      file.isDeleted = true;
+      file.oldMode = match[1];
+    } else if ((match = line.match(/^old mode (\d+)/))) {
+      file.oldMode = match[1];
+    } else if ((match = line.match(/^new mode (\d+)/))) {
+      file.newMode = match[1];
+    } else if ((match = line.match(/^rename from (.+)$/))) {
+      file.isRenamed = true;
+      file.oldPath = parseGitPath(match[1]);
+    } else if ((match = line.match(/^rename to (.+)$/))) {
+      file.isRenamed = true;
+      file.newPath = parseGitPath(match[1]);
+    } else if ((match = line.match(/^copy from (.+)$/))) {
+      file.isCopied = true;
+      file.oldPath = parseGitPath(match[1]);
+    } else if ((match = line.match(/^copy to (.+)$/))) {
+      file.isCopied = true;
+      file.newPath = parseGitPath(match[1]);
+    } else if ((match = line.match(/^(?:similarity|dissimilarity) index (\d+)%/))) {
+      file.similarity = parseInt(match[1], 10);
+    } else if ((match = line.match(/^index [0-9a-f]+\.\.[0-9a-f]+(?: (\d+))?/))) {
+      if (match[1]) file.oldMode = file.newMode = match[1];
+    } else if (/^Binary files .* differ$/.test(line) || line === "GIT binary patch") {
+      file.isBinary = true;
+    }
+    file.headers.push(line);
+    file.lines.push(line);
+  }
+
+  if (file) files.push(finishFile(file));
+  return files;
+}
+
+/**
+ * Collect the new-revision line numbers that appear in each file's hunks
+ * (added and context lines) - the lines an inline comment can be anchored to
+ * @param {string} diff - Unified diff
+ * @returns {Map<string, Set<number>>} path -> commentable line numbers
+ */
+export function getCommentableLines(diff) {
+  const files = new Map();
+
+  for (const file of parseDiff(diff)) {
+    if (!file.newPath) continue;
+    const lines = files.get(file.newPath) || new Set();
+    file.hunks.forEach(h => h.lines.forEach(l => {
+      if (l.newLine !== null) lines.add(l.newLine);
+    }));
+    files.set(file.newPath, lines);
+  }
+
+  return files;
+}
+
+/**
+ * Split a unified diff into per-file sections
+ * @param {string} diff - Unified diff
+ * @returns {object[]} [{ path, oldPath, text }]
+ */
+export function splitDiffByFile(diff) {
+  return parseDiff(diff).map(f => ({ path: f.path, oldPath: f.oldPath || f.path, text: f.text }));
+}
+
+/**
+ * Keep only the files matching the given paths (exact file or directory prefix)
+ * @param {string} diff - Unified diff
+ * @param {string[]} paths - Paths to keep
+ * @returns {string} Filtered diff
+ */
+export function filterDiffByPaths(diff, paths) {
+  const wanted = (paths || []).map(normalizePath).filter(Boolean);
+  if (wanted.length === 0) return diff;
+
+  return splitDiffByFile(diff)
+    .filter(f => wanted.some(p => f.path === p || f.path.startsWith(p.endsWith("/") ? p : `${p}/`)))
+    .map(f => f.text)
+    .join("\n");
+}
+
+/**
+ * Find the hunk of a file that covers a line of the new revision
+ * @param {string} diff - Unified diff
+ * @param {string} filePath - File path
+ * @param {number} line - New-revision line number
+ * @returns {string|null} Hunk text including its @@ header, or null
+ */
+export function findHunk(diff, filePath, line) {
+  const target = normalizePath(filePath);
+  const file = parseDiff(diff).find(f => f.path === target);
+  if (!file) return null;
+
+  const hunk = file.hunks.find(h => line >= h.newStart && line < h.newStart + Math.max(h.newLines, 1));
+  return hunk ? formatHunk(hunk) : null;
+}
+
+/**
+ * Render a parsed hunk back to unified diff text
+ * @param {object} hunk - Hunk from parseDiff()
+ * @returns {string} Hunk text including its @@ header
+ */
+export function formatHunk(hunk) {
+  const prefix = { add: "+", del: "-", context: " " };
+  const out = [hunk.header];
+  for (const l of hunk.lines) {
+    out.push(`${prefix[l.type]}${l.content}`);
+    if (l.noNewline) out.push("\\ No newline at end of file");
+  }
+  return out.join("\n");
+}
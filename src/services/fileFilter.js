@@ -0,0 +1,97 @@
+/**
+ * Review File Filter
+ * Drops files that waste prompt space before a diff is sent for review: lockfiles,
+ * minified bundles, snapshots, vendored code, generated files and binaries.
+ * Skipped files are returned with a reason and their +/- counts so the review can list them.
+ *
+ * Repos override the defaults in .prreviewer.yml:
+ *   skipGenerated: false        # turn the built-in filter off
+ *   alwaysReview: ["dist/api.d.ts"]  # review these even if a default rule matches
+ *   ignore: [...]               # extra paths to skip (see reviewConfig.js)
+ */
+import { parseDiff } from "./diffParser.js";
+import { matchesAny } from "./reviewConfig.js";
+
+const DEFAULT_RULES = [
+  {
+    reason: "lockfile",
+    globs: [
+      "package-lock.json", "npm-shrinkwrap.json", "yarn.lock", "pnpm-lock.yaml", "bun.lockb",
+      "Gemfile.lock", "Cargo.lock", "poetry.lock", "Pipfile.lock", "composer.lock", "go.sum", "*.lock"
+    ]
+  },
+  { reason: "minified", globs: ["*.min.js", "*.min.css", "*.min.mjs", "*.bundle.js", "*.map"] },
+  { reason: "snapshot", globs: ["*.snap", "__snapshots__/**"] },
+  { reason: "vendored", globs: ["vendor/**", "node_modules/**", "third_party/**", "bower_components/**"] },
+  { reason: "generated", globs: ["*.pb.go", "*_pb2.py", "*.generated.*", "*.g.dart"] },
+  {
+    reason: "binary",
+    globs: [
+      "*.png", "*.jpg", "*.jpeg", "*.gif", "*.ico", "*.webp", "*.bmp", "*.pdf", "*.zip", "*.gz", "*.tgz",
+      "*.jar", "*.woff", "*.woff2", "*.ttf", "*.eot", "*.otf", "*.mp3", "*.mp4", "*.mov", "*.exe", "*.dll", "*.so"
+    ]
+  }
+];
+
+// Markers tools put in a comment in the first lines of generated files; only comment
+// lines count, so code mentioning e.g. "autoGenerated" is still reviewed
+const GENERATED_MARKERS = /^\s*(?:\/\/|#|\/\*|\*|<!--|--|;).*(?:@generated|do not edit|code generated by|auto-?generated (?:file|code|by)|this file (?:is|was) (?:auto-?)?generated)/i;
+const HEADER_LINES = 10;
+
+// Added lines this long on average mean a minified or bundled file
+const MINIFIED_AVG_LINE = 300;
+
+/**
+ * Why a parsed file should be skipped, or null to review it
+ * @param {object} file - File from parseDiff()
+ * @returns {string|null} Reason
+ */
+export function getSkipReason(file) {
+  if (file.isBinary) return "binary";
+
+  for (const rule of DEFAULT_RULES) {
+    if (matchesAny(file.path, rule.globs)) return rule.reason;
+  }
+
+  const head = file.hunks
+    .filter(h => h.newStart <= HEADER_LINES)
+    .flatMap(h => h.lines)
+    .filter(l => l.newLine !== null && l.newLine <= HEADER_LINES);
+  if (head.some(l => GENERATED_MARKERS.test(l.content))) return "generated";
+
+  const added = file.hunks.flatMap(h => h.lines).filter(l => l.type === "add");
+  if (added.length > 0) {
+    const avg = added.reduce((n, l) => n + l.content.length, 0) / added.length;
+    if (avg > MINIFIED_AVG_LINE) return "minified";
+  }
+
+  return null;
+}
+
+/**
+ * Remove files that shouldn't be reviewed from a diff
+ * @param {string} diff - Unified diff
+ * @param {object} config - Repo config: { skipGenerated, alwaysReview }
+ * @returns {object} { diff, skipped: [{ path, reason, additions, deletions }] }
+ */
+export function filterReviewFiles(diff, config = {}) {
+  if (!diff || config.skipGenerated === false) return { diff, skipped: [] };
+
+  const kept = [];
+  const skipped = [];
+
+  for (const file of parseDiff(diff)) {
+    const reason = config.alwaysReview?.length && matchesAny(file.path, config.alwaysReview)
+      ? null
+      : getSkipReason(file);
+
+    if (reason) {
+      skipped.push({ path: file.path, reason, additions: file.additions, deletions: file.deletions });
+    } else {
+      kept.push(file.text);
+    }
+  }
+
+  if (skipped.length === 0) return { diff, skipped };
+  return { diff: kept.join("\n"), skipped };
+}
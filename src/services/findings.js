@@ -0,0 +1,163 @@
+/**
+ * Review Findings
+ * The finding contract every review comment is normalized to:
+ *   { file, line, endLine, severity, category, confidence, comment, rule?, source? }
+ * (source names the static analyzer that reported it, see staticAnalysis.js)
+ * plus filtering and sorting helpers used by the review endpoint and the publisher.
+ */
+
+export const SEVERITIES = ["critical", "major", "minor", "nit"];
+export const CATEGORIES = ["bug", "security", "performance", "maintainability", "style", "test"];
+
+const DEFAULT_SEVERITY = "minor";
+const DEFAULT_CATEGORY = "maintainability";
+const DEFAULT_CONFIDENCE = 0.5;
+
+const SEVERITY_ALIASES = {
+  blocker: "critical",
+  high: "major",
+  medium: "minor",
+  low: "nit",
+  info: "nit",
+  trivial: "nit"
+};
+
+const CATEGORY_ALIASES = {
+  bugs: "bug",
+  correctness: "bug",
+  logic: "bug",
+  vulnerability: "security",
+  perf: "performance",
+  readability: "maintainability",
+  design: "maintainability",
+  formatting: "style",
+  tests: "test",
+  testing: "test"
+};
+
+/**
+ * Map a severity (or a common synonym) onto critical | major | minor | nit
+ * @param {string} value - Severity from the model or a query
+ * @returns {string|null} Severity, or null when unrecognised
+ */
+export function normalizeSeverity(value) {
+  const key = String(value || "").trim().toLowerCase();
+  if (SEVERITIES.includes(key)) return key;
+  return SEVERITY_ALIASES[key] || null;
+}
+
+/**
+ * Map a category (or a common synonym) onto the category list
+ * @param {string} value - Category from the model or a query
+ * @returns {string|null} Category, or null when unrecognised
+ */
+export function normalizeCategory(value) {
+  const key = String(value || "").trim().toLowerCase();
+  if (CATEGORIES.includes(key)) return key;
+  return CATEGORY_ALIASES[key] || null;
+}
+
+/**
+ * Higher is more severe (critical = 4, nit = 1)
+ */
+export function severityRank(severity) {
+  const normalized = normalizeSeverity(severity);
+  return normalized ? SEVERITIES.length - SEVERITIES.indexOf(normalized) : 0;
+}
+
+function toLine(value) {
+  const line = Number(value);
+  return Number.isInteger(line) && line > 0 ? line : null;
+}
+
+/**
+ * Normalize one model finding. Accepts line/endLine, startLine/endLine or lineRange: [start, end].
+ * @param {object} raw - Finding from the model
+ * @returns {object|null} Finding, or null when it has no file or comment
+ */
+export function normalizeFinding(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  if (typeof raw.file !== "string" || raw.file.trim().length === 0) return null;
+  if (typeof raw.comment !== "string" || raw.comment.trim().length === 0) return null;
+
+  const range = Array.isArray(raw.lineRange) ? raw.lineRange : [];
+  const line = toLine(raw.line ?? raw.startLine ?? range[0]);
+  const endLine = toLine(raw.endLine ?? range[1]);
+
+  let confidence = Number(raw.confidence);
+  if (Number.isNaN(confidence) || raw.confidence === null || raw.confidence === "") confidence = DEFAULT_CONFIDENCE;
+  if (confidence > 1 && confidence <= 100) confidence /= 100;
+  confidence = Math.round(Math.min(Math.max(confidence, 0), 1) * 100) / 100;
+
+  const finding = {
+    file: raw.file.trim(),
+    line,
+    endLine: line !== null && endLine !== null && endLine >= line ? endLine : line,
+    severity: normalizeSeverity(raw.severity) || DEFAULT_SEVERITY,
+    category: normalizeCategory(raw.category) || DEFAULT_CATEGORY,
+    confidence,
+    comment: raw.comment.trim().substring(0, 5000)
+  };
+  if (typeof raw.rule === "string" && raw.rule.trim()) finding.rule = raw.rule.trim().substring(0, 100);
+  if (typeof raw.source === "string" && raw.source.trim()) finding.source = raw.source.trim().substring(0, 50);
+  return finding;
+}
+
+/**
+ * Keep findings that pass every given filter
+ * @param {object[]} findings - Normalized findings
+ * @param {object} filter - { minSeverity, categories: string[], minConfidence }
+ * @returns {object[]} Matching findings
+ */
+export function filterFindings(findings, filter = {}) {
+  const minRank = filter.minSeverity ? severityRank(filter.minSeverity) : 0;
+  const categories = filter.categories?.length ? filter.categories : null;
+  const minConfidence = typeof filter.minConfidence === "number" ? filter.minConfidence : 0;
+
+  return findings.filter(f =>
+    severityRank(f.severity) >= minRank
+    && (!categories || categories.includes(f.category))
+    && (f.confidence ?? DEFAULT_CONFIDENCE) >= minConfidence
+  );
+}
+
+const SORTERS = {
+  severity: (a, b) => severityRank(b.severity) - severityRank(a.severity) || (b.confidence - a.confidence),
+  confidence: (a, b) => b.confidence - a.confidence || severityRank(b.severity) - severityRank(a.severity),
+  file: (a, b) => a.file.localeCompare(b.file) || (a.line ?? 0) - (b.line ?? 0),
+  category: (a, b) => CATEGORIES.indexOf(a.category) - CATEGORIES.indexOf(b.category) || severityRank(b.severity) - severityRank(a.severity)
+};
+
+export const SORT_KEYS = Object.keys(SORTERS);
+
+/**
+ * Sort findings (stable; unknown keys keep the model's order)
+ * @param {object[]} findings - Normalized findings
+ * @param {string} key - severity | confidence | file | category
+ * @returns {object[]} Sorted copy
+ */
+export function sortFindings(findings, key) {
+  const sorter = SORTERS[key];
+  return sorter ? [...findings].sort(sorter) : findings;
+}
+
+/**
+ * Short label for rendering, e.g. "🟠 major · bug"
+ */
+export function findingLabel(finding) {
+  const icons = { critical: "🔴", major: "🟠", minor: "🟡", nit: "⚪" };
+  const severity = normalizeSeverity(finding?.severity);
+  if (!severity) return "";
+  return `${icons[severity]} ${severity}${finding.category ? ` · ${finding.category}` : ""}`;
+}
+
+/**
+ * "file:line" or "file:start-end"
+ */
+export function findingLocation(finding) {
+  const file = finding.file || "<unknown>";
+  const line = toLine(finding.line);
+  if (!line) return file;
+  const endLine = toLine(finding.endLine);
+  return endLine && endLine > line ? `${file}:${line}-${endLine}` : `${file}:${line}`;
+}
@@ -0,0 +1,368 @@
+// ==========================================================
+// IMPORTS
+// ==========================================================
+import crypto from "crypto";
+import fs from "fs/promises";
+import { existsSync, readFileSync } from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// ==========================================================
+// CONFIGURATION & STATE
+// ==========================================================
+const DEFAULT_STORE_PATH = path.join(__dirname, "..", "..", ".data", "jobs.json");
+const FINISHED_STATUSES = ["succeeded", "failed", "cancelled"];
+
+let jobs = new Map();
+let handler = null;
+let storePath = DEFAULT_STORE_PATH;
+let concurrency = 2;
+let maxAttempts = 3;
+let retryBaseMs = 5000;
+let historyLimit = 500;
+let running = 0;
+let wakeTimer = null;
+let writeChain = Promise.resolve();
+const controllers = new Map();
+let initialized = false;
+
+function readIntEnv(name, fallback, min = 0) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) || value < min ? fallback : value;
+}
+
+// ==========================================================
+// PERSISTENCE
+// ==========================================================
+/**
+ * Load jobs from the store file. Jobs that were running when the
+ * process stopped are put back in the queue.
+ */
+function loadJobs() {
+  jobs = new Map();
+  if (!existsSync(storePath)) return;
+
+  try {
+    const data = JSON.parse(readFileSync(storePath, "utf8"));
+    const list = Array.isArray(data?.jobs) ? data.jobs : [];
+    for (const job of list) {
+      if (!job || typeof job.id !== "string") continue;
+      if (job.status === "running") {
+        job.status = "queued";
+        job.nextRunAt = Date.now();
+        job.updatedAt = new Date().toISOString();
+      }
+      jobs.set(job.id, job);
+    }
+    console.log(`📦 Loaded ${jobs.size} jobs from ${storePath}`);
+  } catch (err) {
+    console.warn(`⚠️  Failed to load job store ${storePath}: ${err.message}`);
+  }
+}
+
+/**
+ * Write all jobs to disk (serialized, atomic rename)
+ */
+function persist() {
+  pruneHistory();
+  const snapshot = JSON.stringify({ jobs: [...jobs.values()] }, null, 2);
+
+  writeChain = writeChain
+    .then(async () => {
+      await fs.mkdir(path.dirname(storePath), { recursive: true });
+      const tmpPath = `${storePath}.tmp`;
+      await fs.writeFile(tmpPath, snapshot, "utf8");
+      await fs.rename(tmpPath, storePath);
+    })
+    .catch(err => console.error("❌ Failed to persist job store:", err.message));
+
+  return writeChain;
+}
+
+/**
+ * Drop the oldest finished jobs beyond the history limit
+ */
+function pruneHistory() {
+  const finished = [...jobs.values()]
+    .filter(j => FINISHED_STATUSES.includes(j.status))
+    .sort((a, b) => a.updatedAt.localeCompare(b.updatedAt));
+
+  const excess = finished.length - historyLimit;
+  for (let i = 0; i < excess; i++) {
+    jobs.delete(finished[i].id);
+  }
+}
+
+// ==========================================================
+// WORKER POOL
+// ==========================================================
+function isKeyRunning(key) {
+  if (!key) return false;
+  for (const job of jobs.values()) {
+    if (job.status === "running" && job.key === key) return true;
+  }
+  return false;
+}
+
+function nextReadyJob(now) {
+  let next = null;
+  for (const job of jobs.values()) {
+    if (job.status !== "queued" || job.nextRunAt > now) continue;
+    // Jobs sharing a key never run side by side
+    if (isKeyRunning(job.key)) continue;
+    if (!next || job.nextRunAt < next.nextRunAt) next = job;
+  }
+  return next;
+}
+
+/**
+ * Start as many ready jobs as the concurrency limit allows, and
+ * schedule a wake-up for the earliest delayed retry.
+ */
+function pump() {
+  if (!handler) return;
+
+  const now = Date.now();
+  while (running < concurrency) {
+    const job = nextReadyJob(now);
+    if (!job) break;
+    runJob(job);
+  }
+
+  if (wakeTimer) {
+    clearTimeout(wakeTimer);
+    wakeTimer = null;
+  }
+
+  const delayed = [...jobs.values()].filter(j => j.status === "queued" && j.nextRunAt > now);
+  if (delayed.length > 0) {
+    const wakeAt = Math.min(...delayed.map(j => j.nextRunAt));
+    wakeTimer = setTimeout(pump, Math.max(0, wakeAt - now));
+    wakeTimer.unref?.();
+  }
+}
+
+async function runJob(job) {
+  const controller = new AbortController();
+  controllers.set(job.id, controller);
+  running++;
+  job.status = "running";
+  job.attempts += 1;
+  job.progress = null;
+  job.startedAt = new Date().toISOString();
+  job.updatedAt = job.startedAt;
+  persist();
+
+  console.log(`⚙️  Job ${job.id} started (attempt ${job.attempts}/${job.maxAttempts})`);
+
+  try {
+    const progress = (value) => {
+      job.progress = value ?? null;
+      job.updatedAt = new Date().toISOString();
+      persist();
+    };
+    const result = await handler(job, { signal: controller.signal, progress });
+    if (controller.signal.aborted) {
+      markCancelled(job, controller.signal.reason);
+    } else {
+      job.status = "succeeded";
+      job.result = result ?? null;
+      job.error = null;
+      console.log(`✅ Job ${job.id} succeeded`);
+    }
+  } catch (err) {
+    job.error = err?.message || String(err);
+
+    if (controller.signal.aborted) {
+      markCancelled(job, controller.signal.reason);
+    } else if (job.attempts < job.maxAttempts) {
+      const delay = retryBaseMs * Math.pow(2, job.attempts - 1);
+      job.status = "queued";
+      job.nextRunAt = Date.now() + delay;
+      console.warn(`⚠️  Job ${job.id} failed (${job.error}), retrying in ${delay}ms`);
+    } else {
+      job.status = "failed";
+      console.error(`❌ Job ${job.id} failed after ${job.attempts} attempts: ${job.error}`);
+    }
+  } finally {
+    job.updatedAt = new Date().toISOString();
+    if (job.status !== "queued") job.finishedAt = job.updatedAt;
+    controllers.delete(job.id);
+    running--;
+    persist();
+    pump();
+  }
+}
+
+function markCancelled(job, reason) {
+  job.status = "cancelled";
+  job.error = typeof reason === "string" ? reason : reason?.message || "Cancelled";
+  console.log(`🚫 Job ${job.id} cancelled: ${job.error}`);
+}
+
+// ==========================================================
+// PUBLIC API
+// ==========================================================
+/**
+ * Initialize the queue and start processing stored jobs
+ * @param {Function} jobHandler - async (job, { signal, progress }) => result; throw to fail the attempt.
+ *   progress(value) stores a progress object on the job for the /jobs endpoints.
+ * @param {object} options - { storePath, concurrency, maxAttempts, retryBaseMs, historyLimit }
+ */
+export function initJobQueue(jobHandler, options = {}) {
+  if (typeof jobHandler !== "function") {
+    throw new Error("jobHandler must be a function");
+  }
+
+  handler = jobHandler;
+  storePath = options.storePath || process.env.JOB_STORE_PATH || DEFAULT_STORE_PATH;
+  concurrency = options.concurrency || readIntEnv("JOB_CONCURRENCY", 2, 1);
+  maxAttempts = options.maxAttempts || readIntEnv("JOB_MAX_ATTEMPTS", 3, 1);
+  retryBaseMs = options.retryBaseMs ?? readIntEnv("JOB_RETRY_BASE_MS", 5000);
+  historyLimit = options.historyLimit || readIntEnv("JOB_HISTORY_LIMIT", 500, 1);
+
+  if (!initialized) {
+    loadJobs();
+    initialized = true;
+  }
+
+  console.log(`📋 Job queue ready - concurrency: ${concurrency}, max attempts: ${maxAttempts}`);
+  pump();
+}
+
+/**
+ * Add a job to the queue.
+ * With a key, a job still waiting under the same key is coalesced into (its payload
+ * replaced and its start pushed back by delayMs), and any running job under that key
+ * is cancelled, so only the latest request is processed.
+ * @param {string} type - Job type (e.g. "review")
+ * @param {object} payload - Job data passed to the handler
+ * @param {object} options - { key, delayMs, merge: (oldPayload, newPayload) => payload }
+ * @returns {object} The stored job
+ */
+export function enqueueJob(type, payload = {}, options = {}) {
+  const { key = null, delayMs = 0, merge = (prev, next) => next } = options;
+
+  if (key) {
+    for (const job of jobs.values()) {
+      if (job.key === key && job.status === "running") {
+        cancelJob(job.id, "Superseded by a newer request");
+      }
+    }
+
+    const pending = [...jobs.values()].find(j => j.key === key && j.status === "queued");
+    if (pending) {
+      pending.payload = merge(pending.payload, payload);
+      pending.coalesced = (pending.coalesced || 0) + 1;
+      pending.nextRunAt = Math.max(pending.nextRunAt, Date.now() + delayMs);
+      pending.updatedAt = new Date().toISOString();
+      console.log(`🔁 Coalesced request into queued job ${pending.id} (${key})`);
+      persist();
+      pump();
+      return pending;
+    }
+  }
+
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    key,
+    status: "queued",
+    payload,
+    coalesced: 0,
+    attempts: 0,
+    maxAttempts,
+    error: null,
+    result: null,
+    createdAt: now,
+    updatedAt: now,
+    startedAt: null,
+    finishedAt: null,
+    nextRunAt: Date.now() + delayMs
+  };
+
+  jobs.set(job.id, job);
+  persist();
+  pump();
+  return job;
+}
+
+/**
+ * Cancel a job. Queued jobs are cancelled immediately; running jobs get their
+ * abort signal fired and are marked cancelled once the handler returns.
+ * @param {string} id - Job ID
+ * @param {string} reason - Why the job was cancelled
+ * @returns {boolean} True if the job was queued or running
+ */
+export function cancelJob(id, reason = "Cancelled") {
+  const job = jobs.get(id);
+  if (!job) return false;
+
+  if (job.status === "queued") {
+    markCancelled(job, reason);
+    job.updatedAt = new Date().toISOString();
+    job.finishedAt = job.updatedAt;
+    persist();
+    return true;
+  }
+
+  if (job.status === "running") {
+    controllers.get(id)?.abort(reason);
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * Find the newest job matching a predicate
+ * @param {Function} predicate - (job) => boolean
+ * @returns {object|null} Job or null
+ */
+export function findJob(predicate) {
+  let found = null;
+  for (const job of jobs.values()) {
+    if (!predicate(job)) continue;
+    if (!found || job.createdAt > found.createdAt) found = job;
+  }
+  return found;
+}
+
+/**
+ * Get a job by ID
+ * @param {string} id - Job ID
+ * @returns {object|null} Job or null
+ */
+export function getJob(id) {
+  return jobs.get(id) || null;
+}
+
+/**
+ * List jobs, newest first
+ * @param {object} filter - { repository, prId, status, limit }
+ * @returns {object[]} Matching jobs
+ */
+export function listJobs(filter = {}) {
+  const limit = Math.min(Math.max(parseInt(filter.limit) || 50, 1), 500);
+
+  return [...jobs.values()]
+    .filter(j => !filter.repository || j.payload?.repository?.toLowerCase() === filter.repository.toLowerCase())
+    .filter(j => filter.prId === undefined || j.payload?.prId === filter.prId)
+    .filter(j => !filter.status || j.status === filter.status)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .slice(0, limit);
+}
+
+/**
+ * Queue statistics for health checks
+ */
+export function getQueueStats() {
+  const stats = { queued: 0, running: 0, succeeded: 0, failed: 0, cancelled: 0 };
+  for (const job of jobs.values()) {
+    stats[job.status] = (stats[job.status] || 0) + 1;
+  }
+  return { ...stats, concurrency };
+}
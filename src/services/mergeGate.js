@@ -0,0 +1,78 @@
+/**
+ * Merge Gate
+ * Decides whether a review should block merging, from a configurable fail-on list.
+ *
+ * Fail-on entries are severities (a threshold: "major" fails on major and critical)
+ * and/or categories ("security" fails on any security finding), e.g. "critical,security".
+ */
+import { normalizeSeverity, severityRank } from "./findings.js";
+
+const DEFAULT_FAIL_ON = "critical";
+
+/**
+ * Whether build statuses are enabled: repo setting, then REVIEW_BUILD_STATUS
+ * @param {object} settings - Repository settings from the registry
+ * @returns {boolean}
+ */
+export function isBuildStatusEnabled(settings = {}) {
+  if (typeof settings.buildStatus === "boolean") return settings.buildStatus;
+  return process.env.REVIEW_BUILD_STATUS === "true";
+}
+
+/**
+ * Parse the fail-on list: repo setting, then REVIEW_FAIL_ON, then "critical"
+ * @param {object} settings - Repository settings from the registry
+ * @returns {object} { minSeverity: critical | major | minor | nit | null, categories: string[] }
+ */
+export function getFailOn(settings = {}) {
+  const raw = settings.failOn || process.env.REVIEW_FAIL_ON || DEFAULT_FAIL_ON;
+  const tokens = (Array.isArray(raw) ? raw : String(raw).split(","))
+    .map(t => String(t).trim().toLowerCase())
+    .filter(Boolean);
+
+  let minSeverity = null;
+  const categories = [];
+
+  for (const token of tokens) {
+    const severity = normalizeSeverity(token);
+    if (severity) {
+      if (!minSeverity || severityRank(severity) < severityRank(minSeverity)) minSeverity = severity;
+    } else {
+      categories.push(token);
+    }
+  }
+
+  return { minSeverity, categories };
+}
+
+/**
+ * Whether one finding fails the gate
+ * @param {object} comment - { severity, category }
+ * @param {object} failOn - Output of getFailOn()
+ * @returns {boolean}
+ */
+export function isBlockingFinding(comment, failOn = getFailOn()) {
+  if (!comment) return false;
+  const category = String(comment.category || "").toLowerCase();
+  if (category && failOn.categories.includes(category)) return true;
+  if (!failOn.minSeverity || !comment.severity) return false;
+  return severityRank(comment.severity) >= severityRank(failOn.minSeverity);
+}
+
+/**
+ * Evaluate a review against the fail-on rules
+ * @param {object} review - { comments: [{ severity, category, ... }] }
+ * @param {object} failOn - Output of getFailOn()
+ * @returns {object} { passed, blocking: object[], description }
+ */
+export function evaluateGate(review, failOn = getFailOn()) {
+  const comments = Array.isArray(review?.comments) ? review.comments : [];
+
+  const blocking = comments.filter(c => isBlockingFinding(c, failOn));
+
+  const description = blocking.length === 0
+    ? `No blocking findings (${comments.length} total)`
+    : `${blocking.length} blocking finding${blocking.length === 1 ? "" : "s"} of ${comments.length}`;
+
+  return { passed: blocking.length === 0, blocking, description };
+}
@@ -1,88 +1,20 @@
 // ==========================================================
 // IMPORTS
 // ==========================================================
-import { GoogleGenerativeAI } from "@google/generative-ai";
-import Groq from "groq-sdk";
-import OpenAI from "openai";
-import fetch from "node-fetch";
-
-// ==========================================================
-// ENV VARIABLES & CLIENT INITIALIZATION (LAZY LOADING)
-// ==========================================================
-let gemini = null;
-let groq = null;
-let openai = null;
-let clientsInitialized = false;
-
-/**
- * Initialize API clients with validation
- */
-function initializeClients() {
-  if (clientsInitialized) return;
-
-  const GEMINI_KEY = process.env.GEMINI_API_KEY;
-  const GROQ_KEY = process.env.GROQ_API_KEY;
-  const OPENAI_KEY = process.env.OPENAI_API_KEY;
-
-  let keysAvailable = [];
-
-  try {
-    if (GEMINI_KEY && GEMINI_KEY.trim().length > 0) {
-      gemini = new GoogleGenerativeAI(GEMINI_KEY);
-      keysAvailable.push("Gemini");
-      console.log("📦 Gemini client initialized");
-    }
-  } catch (err) {
-    console.warn("⚠️  Failed to initialize Gemini:", err.message);
-  }
-
-  try {
-    if (GROQ_KEY && GROQ_KEY.trim().length > 0) {
-      groq = new Groq({ apiKey: GROQ_KEY });
-      keysAvailable.push("Groq");
-      console.log("📦 Groq client initialized");
-    }
-  } catch (err) {
-    console.warn("⚠️  Failed to initialize Groq:", err.message);
-  }
-
-  try {
-    if (OPENAI_KEY && OPENAI_KEY.trim().length > 0) {
-      openai = new OpenAI({ apiKey: OPENAI_KEY });
-      keysAvailable.push("OpenAI");
-      console.log("📦 OpenAI client initialized");
-    }
-  } catch (err) {
-    console.warn("⚠️  Failed to initialize OpenAI:", err.message);
-  }
-
-  if (keysAvailable.length === 0) {
-    console.warn("⚠️  WARNING: No AI API keys configured! Available providers: " + keysAvailable.join(", "));
-  }
-
-  clientsInitialized = true;
-}
+import { redactSecrets, isRedactionEnabled } from "./secretScanner.js";
+import { getModelProvider, listModelProviders, buildAttemptChain, loadModelChains, estimateTokens, unsupportedReason } from "./providers/index.js";
+import { beginAttempt, recordSuccess, recordFailure, releaseAttempt, getProviderHealth } from "./providers/circuitBreaker.js";
+import { acquireToken, getRateLimitState } from "./providers/rateLimiter.js";
 
 const mockMode = process.env.MOCK_MODE === "true";
 
-// ==========================================================
-// MODEL FALLBACK ORDER
-// ==========================================================
-const FALLBACK_MODELS = [
-  { provider: "gemini", model: "gemini-2.0-flash" },
-  { provider: "gemini", model: "gemini-2.0-pro" },
-  { provider: "groq", model: "llama-3.1-70b-versatile" },
-  { provider: "openai", model: "gpt-4.1-mini" },
-  { provider: "ollama", model: "llama3" }
-];
-
-console.log("FALLBACK LIST ORDER:", FALLBACK_MODELS);
-
 // ==========================================================
 // INPUT VALIDATION
 // ==========================================================
+const MESSAGE_ROLES = ["system", "user", "assistant"];
+
 /**
- * Validate input messages
+ * Validate input messages (role defaults to "user")
  */
 function validateMessages(messages) {
   if (!Array.isArray(messages) || messages.length === 0) {
@@ -93,6 +25,9 @@ function validateMessages(messages) {
     if (!msg || typeof msg !== "object") {
       throw new Error("each message must be an object");
     }
+    if (msg.role !== undefined && !MESSAGE_ROLES.includes(msg.role)) {
+      throw new Error(`message role must be one of: ${MESSAGE_ROLES.join(", ")}`);
+    }
     if (!msg.content || typeof msg.content !== "string") {
       throw new Error("each message must have a non-empty string content field");
     }
@@ -123,7 +58,20 @@ function validateResponse(response, provider) {
 // ==========================================================
 // MAIN MODEL ROUTER (FALLBACK LOGIC)
 // ==========================================================
-export async function callModel(modelName, messages, maxTokens = 200) {
+/**
+ * Call the requested model, falling back along the use case's chain (see providers/index.js).
+ * Providers whose circuit is open, or whose rate limit would mean a long wait, are skipped.
+ * @param {string} modelName - Requested model, tried first ("gemini-2.0-pro" or "provider:model")
+ * @param {object[]} messages - [{ role: system | user | assistant, content }], passed to providers with roles intact
+ * @param {number} maxTokens - Max output tokens
+ * @param {object} options - { useCase: review | chat | completion (default chat),
+ *   provider: preferred provider,
+ *   responseSchema: { name, schema } to use the provider's native structured-output (JSON) mode,
+ *   onToken: (text) => void to stream the reply - providers without a streaming API send it in one piece,
+ *   signal: AbortSignal that cancels the upstream request }
+ * @returns {Promise<object>} { choices: [{ message: { content } }], usage?, provider, model }
+ */
+export async function callModel(modelName, messages, maxTokens = 200, options = {}) {
   try {
     // Validate inputs
     validateMessages(messages);
@@ -132,138 +80,125 @@ export async function callModel(modelName, messages, maxTokens = 200) {
       throw new Error("maxTokens must be a positive number");
     }
 
-    // Initialize clients
-    initializeClients();
-
     console.log("🔥 callModel STARTED with model:", modelName);
 
-    const prompt = messages.map(m => m.content).join("\n");
-
-    if (!prompt || prompt.trim().length === 0) {
+    // Credentials never leave the building: redact before any provider sees the messages
+    let redactedCount = 0;
+    const chatMessages = messages.map(m => {
+      if (!isRedactionEnabled()) return { role: m.role || "user", content: m.content };
+      const redacted = redactSecrets(m.content);
+      redactedCount += redacted.count;
+      return { role: m.role || "user", content: redacted.text };
+    });
+    if (redactedCount > 0) console.log(`🔒 Redacted ${redactedCount} secret(s) from the prompt`);
+
+    if (chatMessages.every(m => m.content.trim().length === 0)) {
       throw new Error("Empty prompt generated from messages");
     }
 
     // Mock mode for testing
     if (mockMode) {
       console.log("📋 MOCK_MODE=true, returning mock response");
+      const content = "Mock response (MOCK_MODE=true)";
+      options.onToken?.(content);
       return {
-        choices: [{ message: { content: "Mock response (MOCK_MODE=true)" } }]
+        choices: [{ message: { content } }]
       };
     }
 
-    // 🔁 Loop through fallback providers
-    for (const attempt of FALLBACK_MODELS) {
-      try {
-        // ======================================================
-        // GEMINI 2.0 — FAST & PRO MODELS
-        // ======================================================
-        if (attempt.provider === "gemini" && gemini) {
-          console.log("⚡ Trying Gemini:", attempt.model);
-
-          const model = gemini.getGenerativeModel({ model: attempt.model });
-          const result = await model.generateContent(prompt);
-
-          if (!result?.response) {
-            throw new Error("Invalid response structure from Gemini");
-          }
-
-          const text = result.response.text();
-
-          if (!text || text.trim().length === 0) {
-            throw new Error("Empty response from Gemini");
-          }
-
-          console.log("✅ Gemini success!");
-          return {
-            choices: [{ message: { content: text } }]
-          };
-        }
-
-        // ======================================================
-        // GROQ — FALLBACK 1
-        // ======================================================
-        if (attempt.provider === "groq" && groq) {
-          console.log("⚡ Trying Groq:", attempt.model);
-
-          const res = await groq.chat.completions.create({
-            model: attempt.model,
-            messages: [{ role: "user", content: prompt }],
-            max_tokens: Math.min(maxTokens, 2000),
-            temperature: 0.7
-          });
-
-          validateResponse(res, "Groq");
-          console.log("✅ Groq success!");
-          return res;
-        }
-
-        // ======================================================
-        // OPENAI — FALLBACK 2
-        // ======================================================
-        if (attempt.provider === "openai" && openai) {
-          console.log("⚡ Trying OpenAI:", attempt.model);
-
-          const res = await openai.chat.completions.create({
-            model: attempt.model,
-            messages: [{ role: "user", content: prompt }],
-            max_tokens: Math.min(maxTokens, 2000),
-            temperature: 0.7
-          });
-
-          validateResponse(res, "OpenAI");
-          console.log("✅ OpenAI success!");
-          return res;
-        }
+    const schema = options.responseSchema || null;
+    const promptTokens = estimateTokens(chatMessages);
+    const failedAttempts = [];
+
+    // Once part of a streamed reply has gone out, switching providers would garble it
+    let emitted = false;
+    const onToken = options.onToken && ((text) => {
+      emitted = true;
+      options.onToken(text);
+    });
+
+    // 🔁 Requested model first, then the fallback chain
+    for (const attempt of buildAttemptChain(modelName, options)) {
+      const provider = getModelProvider(attempt.provider);
+      if (!provider.isAvailable()) {
+        console.log(`⏭️  Skipped: ${attempt.provider}:${attempt.model} (${provider.apiKeyEnv} not set)`);
+        continue;
+      }
 
-        // ======================================================
-        // OLLAMA — LOCAL FALLBACK
-        // ======================================================
-        if (attempt.provider === "ollama") {
-          console.log("⚡ Trying Ollama:", attempt.model);
+      const unsupported = unsupportedReason(provider, { promptTokens, maxTokens });
+      if (unsupported) {
+        failedAttempts.push(`${attempt.provider}:${attempt.model} (${unsupported})`);
+        console.log(`⏭️  Skipped: ${attempt.provider}:${attempt.model} (${unsupported})`);
+        continue;
+      }
 
-          const ollamaHost = process.env.OLLAMA_HOST || "http://localhost:11434";
-          
-          try {
-            const res = await fetch(`${ollamaHost}/api/generate`, {
-              method: "POST",
-              headers: { "Content-Type": "application/json" },
-              body: JSON.stringify({
-                model: attempt.model,
-                prompt: prompt,
-                stream: false
-              }),
-              timeout: 30000
-            }).then(r => {
-              if (!r.ok) throw new Error(`HTTP ${r.status}`);
-              return r.json();
-            });
+      if (options.signal?.aborted) throw new Error("Request aborted");
 
-            if (!res?.response || typeof res.response !== "string") {
-              throw new Error("Invalid response from Ollama");
-            }
+      const gate = beginAttempt(attempt.provider);
+      if (!gate.allowed) {
+        const reason = gate.retryInMs ? `${gate.reason}, retry in ${Math.ceil(gate.retryInMs / 1000)}s` : gate.reason;
+        failedAttempts.push(`${attempt.provider}:${attempt.model} (${reason})`);
+        console.log(`⏭️  Skipped: ${attempt.provider}:${attempt.model} (${reason})`);
+        continue;
+      }
 
-            if (res.response.trim().length === 0) {
-              throw new Error("Empty response from Ollama");
-            }
+      let slot;
+      try {
+        slot = await acquireToken(attempt.provider, { signal: options.signal });
+      } catch (err) {
+        releaseAttempt(attempt.provider);
+        throw err;
+      }
+      if (!slot.acquired) {
+        releaseAttempt(attempt.provider);
+        const reason = `rate limited locally, next slot in ${Math.ceil(slot.waitMs / 1000)}s`;
+        failedAttempts.push(`${attempt.provider}:${attempt.model} (${reason})`);
+        console.log(`⏭️  Skipped: ${attempt.provider}:${attempt.model} (${reason})`);
+        continue;
+      }
 
-            console.log("✅ Ollama success!");
-            return {
-              choices: [{ message: { content: res.response } }]
-            };
-          } catch (ollamaErr) {
-            console.warn(`⚠️  Ollama unavailable: ${ollamaErr.message}`);
-            continue;
-          }
+      try {
+        console.log(`⚡ Trying ${provider.label}:`, attempt.model);
+        const request = {
+          model: attempt.model,
+          messages: chatMessages,
+          maxTokens,
+          // Without native structured output the prompt alone asks for JSON
+          schema: provider.capabilities?.structuredOutput ? schema : null,
+          signal: options.signal
+        };
+        let res;
+
+        if (onToken && provider.capabilities?.streaming && provider.stream) {
+          const { content, usage } = await provider.stream({ ...request, onToken });
+          res = { choices: [{ message: { content } }], usage };
+          validateResponse(res, provider.label);
+        } else {
+          res = await provider.generate(request);
+          validateResponse(res, provider.label);
+          onToken?.(res.choices[0].message.content);
         }
 
+        recordSuccess(attempt.provider);
+        console.log(`✅ ${provider.label} success!`);
+        return { ...res, provider: attempt.provider, model: res.model || attempt.model };
       } catch (err) {
+        if (options.signal?.aborted) {
+          releaseAttempt(attempt.provider);
+          throw err;
+        }
+        recordFailure(attempt.provider, err);
+        if (emitted) throw err;
+        failedAttempts.push(`${attempt.provider}:${attempt.model} (${err.message})`);
         console.warn(`❌ FAILED: ${attempt.provider}:${attempt.model} - ${err.message}`);
-        continue;
       }
     }
 
     // If all providers fail
-    throw new Error("❌ All AI providers failed - no response generated. Check API keys and connectivity.");
+    if (failedAttempts.length === 0) {
+      throw new Error("❌ No AI provider configured - set GEMINI_API_KEY, GROQ_API_KEY or OPENAI_API_KEY, or add Ollama to a chain.");
+    }
+    throw new Error(`❌ All AI providers failed - no response generated. Attempted: ${failedAttempts.join(", ")}`);
 
   } catch (err) {
     console.error("❌ callModel error:", err.message);
@@ -275,27 +210,42 @@ export async function callModel(modelName, messages, maxTokens = 200) {
 // MODEL PICKER
 // ==========================================================
 /**
- * Pick model based on type (completion, chat, review)
+ * Pick model based on type (completion, chat, review): MODEL_<TYPE>, else the head of its chain
  */
 export function pickModel(type = "chat") {
-  const modelMap = {
-    completion: process.env.MODEL_COMPLETION || "gemini-2.0-flash",
-    chat: process.env.MODEL_CHAT || "gemini-2.0-pro",
-    review: process.env.MODEL_REVIEW || "gemini-2.0-pro"
+  const overrides = {
+    completion: process.env.MODEL_COMPLETION,
+    chat: process.env.MODEL_CHAT,
+    review: process.env.MODEL_REVIEW
   };
 
-  return modelMap[type] || "gemini-2.0-pro";
+  const chain = loadModelChains()[type] || loadModelChains().chat;
+  return overrides[type] || chain[0]?.model || "gemini-2.0-pro";
 }
 
 /**
- * Get list of initialized providers for debugging
+ * Configured providers and fallback chains, for debugging
  */
 export function getAvailableProviders() {
-  initializeClients();
   return {
-    gemini: !!gemini,
-    groq: !!groq,
-    openai: !!openai,
+    ...Object.fromEntries(listModelProviders().map(name => [name, getModelProvider(name).isAvailable()])),
+    chains: loadModelChains(),
+    health: getProviderStatus(),
     mockMode: mockMode
   };
 }
+
+/**
+ * Circuit state and rate limit bucket per provider
+ * @returns {object} { [provider]: { available, state, failures, retryInMs?, lastError, rateLimit } }
+ */
+export function getProviderStatus() {
+  const names = listModelProviders();
+  const health = getProviderHealth(names);
+  const rateLimits = getRateLimitState(names);
+  return Object.fromEntries(names.map(name => [name, {
+    available: getModelProvider(name).isAvailable(),
+    ...health[name],
+    rateLimit: rateLimits[name]
+  }]));
+}
@@ -0,0 +1,171 @@
+/**
+ * Patch Applier
+ * Applies model-suggested patches to a file's post-change content to check they
+ * apply cleanly, and turns single-hunk patches into line-range suggestions.
+ *
+ * File content is an array of lines; null entries are unknown lines (e.g. when the
+ * content is rebuilt from diff hunks only) and never match a patch line.
+ */
+import { parseDiff } from "./diffParser.js";
+
+/**
+ * Parse suggested patch text into hunks. Accepts unified diffs with or without
+ * file headers, fenced ```diff blocks, and bare -/+ line lists without @@ headers.
+ * @param {string} patchText - Patch from the model
+ * @returns {object[]} [{ oldStart: number|null, lines: [{ type, content }] }]
+ */
+export function parsePatch(patchText) {
+  if (!patchText || typeof patchText !== "string") return [];
+  const text = patchText.replace(/^\s*```[a-z]*\s*\n/i, "").replace(/\n\s*```\s*$/, "");
+
+  if (/^@@ /m.test(text)) {
+    return parseDiff(text).flatMap(f => f.hunks).map(h => ({
+      oldStart: h.oldStart,
+      lines: h.lines.map(l => ({ type: l.type, content: l.content }))
+    }));
+  }
+
+  const lines = text.split("\n")
+    .filter(l => !l.startsWith("--- ") && !l.startsWith("+++ ") && !l.startsWith("diff --git "))
+    .filter(l => l.startsWith("+") || l.startsWith("-") || l.startsWith(" "))
+    .map(l => ({ type: l[0] === "+" ? "add" : l[0] === "-" ? "del" : "context", content: l.slice(1) }));
+
+  return lines.some(l => l.type !== "context") ? [{ oldStart: null, lines }] : [];
+}
+
+function matchesAt(lines, block, index) {
+  if (index < 0 || index + block.length > lines.length) return false;
+  return block.every((content, i) => lines[index + i] !== null && lines[index + i] !== undefined
+    && lines[index + i].replace(/\r$/, "") === content.replace(/\r$/, ""));
+}
+
+/**
+ * Find where a block of lines sits: at the expected index, else the nearest match.
+ * Without an expected index the match must be unique.
+ */
+function locate(lines, block, expected) {
+  if (expected !== null) {
+    for (let delta = 0; delta < lines.length; delta++) {
+      if (matchesAt(lines, block, expected - delta)) return expected - delta;
+      if (delta > 0 && matchesAt(lines, block, expected + delta)) return expected + delta;
+    }
+    return -1;
+  }
+
+  let found = -1;
+  for (let i = 0; i <= lines.length - block.length; i++) {
+    if (!matchesAt(lines, block, i)) continue;
+    if (found !== -1) return -2;
+    found = i;
+  }
+  return found;
+}
+
+/**
+ * Apply parsed hunks to file lines
+ * @param {Array<string|null>} lines - Post-change file content
+ * @param {object[]} hunks - From parsePatch()
+ * @returns {object} { ok, lines, applied: [{ start, hunk }] } or { ok: false, error }
+ */
+export function applyHunks(lines, hunks) {
+  if (hunks.length === 0) return { ok: false, error: "patch has no hunks" };
+
+  const result = [...lines];
+  const applied = [];
+  let offset = 0;
+
+  for (const [i, hunk] of hunks.entries()) {
+    const oldBlock = hunk.lines.filter(l => l.type !== "add").map(l => l.content);
+    const newBlock = hunk.lines.filter(l => l.type !== "del").map(l => l.content);
+
+    let start;
+    if (oldBlock.length === 0) {
+      // Pure insertion: only a header says where ("-5,0" inserts after line 5)
+      if (hunk.oldStart === null) return { ok: false, error: `hunk ${i + 1} adds lines without saying where` };
+      start = hunk.oldStart + offset;
+      if (start < 0 || start > result.length) return { ok: false, error: `hunk ${i + 1} is outside the file` };
+    } else {
+      const expected = hunk.oldStart === null ? null : Math.max(hunk.oldStart - 1 + offset, 0);
+      start = locate(result, oldBlock, expected);
+      if (start === -2) return { ok: false, error: `hunk ${i + 1} matches more than one place in the file` };
+      if (start < 0) return { ok: false, error: `hunk ${i + 1} does not match the file content` };
+    }
+
+    // Line numbers in the unpatched file, for suggestions
+    applied.push({ start: start - offset + 1, hunk });
+    result.splice(start, oldBlock.length, ...newBlock);
+    offset += newBlock.length - oldBlock.length;
+  }
+
+  return { ok: true, lines: result, applied };
+}
+
+/**
+ * Check a patch against file content
+ * @param {string|Array<string|null>} content - Post-change file text or lines
+ * @param {string} patchText - Patch from the model
+ * @returns {object} { ok, error?, suggestion? } - suggestion for single-hunk patches
+ */
+export function checkPatch(content, patchText) {
+  const lines = Array.isArray(content) ? content : String(content).split("\n");
+  const hunks = parsePatch(patchText);
+  const outcome = applyHunks(lines, hunks);
+  if (!outcome.ok) return outcome;
+
+  return {
+    ok: true,
+    suggestion: outcome.applied.length === 1 ? toSuggestion(lines, outcome.applied[0]) : null
+  };
+}
+
+/**
+ * The line range a single hunk replaces, and its replacement text.
+ * Pure additions are attached to the context line before (or after) them.
+ * @returns {object|null} { startLine, endLine, replacement: string[] }
+ */
+export function toSuggestion(lines, { start, hunk }) {
+  const changed = hunk.lines.map((l, i) => (l.type === "context" ? -1 : i)).filter(i => i >= 0);
+  if (changed.length === 0) return null;
+
+  let first = changed[0];
+  let last = changed[changed.length - 1];
+
+  // Extend to a context line when nothing is removed, so the suggestion has a line to replace
+  if (!hunk.lines.slice(first, last + 1).some(l => l.type === "del")) {
+    if (first > 0) first--;
+    else if (last < hunk.lines.length - 1) last++;
+    else return null;
+  }
+
+  // Original line number of hunk.lines[first]
+  let startLine = start;
+  for (let i = 0; i < first; i++) {
+    if (hunk.lines[i].type !== "add") startLine++;
+  }
+
+  const region = hunk.lines.slice(first, last + 1);
+  const oldCount = region.filter(l => l.type !== "add").length;
+  if (oldCount === 0) return null;
+
+  return {
+    startLine,
+    endLine: startLine + oldCount - 1,
+    replacement: region.filter(l => l.type !== "del").map(l => l.content)
+  };
+}
+
+/**
+ * Rebuild what is known of a file's post-change content from the PR diff
+ * (added and context lines), for checking patches without fetching the file
+ * @param {object} file - File from parseDiff()
+ * @returns {Array<string|null>} Lines, null where unknown
+ */
+export function linesFromDiff(file) {
+  const lines = [];
+  for (const hunk of file.hunks) {
+    for (const l of hunk.lines) {
+      if (l.newLine !== null) lines[l.newLine - 1] = l.content;
+    }
+  }
+  return Array.from(lines, l => (l === undefined ? null : l));
+}
@@ -0,0 +1,122 @@
+/**
+ * Patch Validator
+ * Checks the review's suggested patches against the PR's post-change files.
+ * Patches that don't apply are regenerated (bounded by PATCH_REGENERATE_LIMIT)
+ * or dropped; single-hunk patches get a suggestion for one-click apply.
+ */
+import { parseDiff, normalizePath } from "./diffParser.js";
+import { checkPatch, linesFromDiff } from "./patchApplier.js";
+import { callModel, pickModel } from "./modelRouter.js";
+import { patchFixMessages } from "./prompts.js";
+
+const DEFAULT_REGENERATE_LIMIT = 2;
+const EXCERPT_LINES = 400;
+
+/**
+ * How many failed patches may be regenerated per review (0 disables)
+ */
+export function getRegenerateLimit() {
+  const value = parseInt(process.env.PATCH_REGENERATE_LIMIT, 10);
+  return Number.isNaN(value) || value < 0 ? DEFAULT_REGENERATE_LIMIT : value;
+}
+
+/**
+ * Ask the model once for a corrected patch
+ * @returns {Promise<string|null>} New patch text or null
+ */
+async function regeneratePatch(filePath, lines, patch, error, options) {
+  const excerpt = lines.slice(0, EXCERPT_LINES)
+    .map((l, i) => `${i + 1}: ${l ?? "(not shown)"}`)
+    .join("\n");
+
+  try {
+    const messages = patchFixMessages(filePath, excerpt, patch, error);
+    const result = await callModel(options.model || pickModel("review"), messages, 1000, {
+      useCase: "review",
+      provider: options.provider
+    });
+    const text = result?.choices?.[0]?.message?.content?.trim();
+    return text && text !== "NONE" ? text : null;
+  } catch (err) {
+    console.warn(`⚠️  Patch regeneration for ${filePath} failed: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Validate suggested patches
+ * @param {object[]} patches - [{ file, diff }]
+ * @param {object} options - { diff: PR diff, getFileContent: async (path) => string|null,
+ *   regenerateLimit, model, provider }
+ * @returns {Promise<object>} { patches: [{ file, diff, suggestion, regenerated? }], dropped: [{ file, error }] }
+ */
+export async function validatePatches(patches, options = {}) {
+  if (!Array.isArray(patches) || patches.length === 0) return { patches: [], dropped: [] };
+
+  const diffFiles = new Map(parseDiff(options.diff).map(f => [f.path, f]));
+  const contents = new Map();
+  let regenerateLeft = options.regenerateLimit ?? getRegenerateLimit();
+
+  const loadLines = async (filePath) => {
+    if (contents.has(filePath)) return contents.get(filePath);
+
+    let lines = null;
+    if (options.getFileContent) {
+      try {
+        const text = await options.getFileContent(filePath);
+        if (typeof text === "string") lines = text.split("\n");
+      } catch (err) {
+        console.warn(`⚠️  Could not fetch ${filePath} to check a patch: ${err.message}`);
+      }
+    }
+    // Fall back to the lines the PR diff shows
+    if (!lines && diffFiles.has(filePath)) lines = linesFromDiff(diffFiles.get(filePath));
+
+    contents.set(filePath, lines);
+    return lines;
+  };
+
+  const valid = [];
+  const dropped = [];
+
+  for (const patch of patches) {
+    const filePath = normalizePath(patch.file);
+    if (!diffFiles.has(filePath)) {
+      dropped.push({ file: patch.file, error: "file is not part of this pull request" });
+      continue;
+    }
+
+    const lines = await loadLines(filePath);
+    if (!lines) {
+      dropped.push({ file: patch.file, error: "file content unavailable" });
+      continue;
+    }
+
+    let text = patch.diff;
+    let outcome = checkPatch(lines, text);
+    let regenerated = false;
+
+    if (!outcome.ok && regenerateLeft > 0) {
+      regenerateLeft--;
+      const retry = await regeneratePatch(filePath, lines, text, outcome.error, options);
+      if (retry) {
+        const retried = checkPatch(lines, retry);
+        if (retried.ok) {
+          text = retry;
+          outcome = retried;
+          regenerated = true;
+        }
+      }
+    }
+
+    if (!outcome.ok) {
+      console.log(`🩹 Dropping patch for ${filePath}: ${outcome.error}`);
+      dropped.push({ file: patch.file, error: outcome.error });
+      continue;
+    }
+
+    valid.push({ file: filePath, diff: text, suggestion: outcome.suggestion, ...(regenerated && { regenerated }) });
+  }
+
+  return { patches: valid, dropped };
+}
@@ -0,0 +1,90 @@
+/**
+ * Per-PR State Store
+ * Small JSON file store for state that outlives a single job, such as
+ * finding types muted with /ignore. Kept next to the job store.
+ */
+import fs from "fs/promises";
+import { existsSync, readFileSync } from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_STORE_PATH = path.join(__dirname, "..", "..", ".data", "pr-state.json");
+
+let state = null;
+let writeChain = Promise.resolve();
+
+function storePath() {
+  return process.env.PR_STATE_PATH || DEFAULT_STORE_PATH;
+}
+
+function load() {
+  if (state) return state;
+  state = {};
+
+  const file = storePath();
+  if (!existsSync(file)) return state;
+
+  try {
+    const data = JSON.parse(readFileSync(file, "utf8"));
+    if (data && typeof data === "object" && !Array.isArray(data)) state = data;
+  } catch (err) {
+    console.warn(`⚠️  Failed to load PR state ${file}: ${err.message}`);
+  }
+  return state;
+}
+
+function persist() {
+  const file = storePath();
+  const snapshot = JSON.stringify(state, null, 2);
+
+  writeChain = writeChain
+    .then(async () => {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(`${file}.tmp`, snapshot, "utf8");
+      await fs.rename(`${file}.tmp`, file);
+    })
+    .catch(err => console.error("❌ Failed to persist PR state:", err.message));
+
+  return writeChain;
+}
+
+/**
+ * Key for a pull request across providers and repositories
+ */
+export function prKey(provider, fullName, prId) {
+  return `${provider}:${String(fullName).toLowerCase()}#${prId}`;
+}
+
+/**
+ * Get the stored state of a PR
+ * @param {string} key - From prKey()
+ * @returns {object} { ignoredRules: string[] }
+ */
+export function getPRState(key) {
+  const entry = load()[key];
+  return { ignoredRules: [], ...entry };
+}
+
+/**
+ * Mute a finding type (category or rule name) on a PR
+ * @param {string} key - From prKey()
+ * @param {string} rule - Rule or category to ignore
+ * @param {string} by - Who asked
+ * @returns {string[]} Ignored rules after the change
+ */
+export function addIgnoredRule(key, rule, by) {
+  const all = load();
+  const entry = getPRState(key);
+  const normalized = rule.trim().toLowerCase();
+
+  if (!entry.ignoredRules.includes(normalized)) {
+    entry.ignoredRules = [...entry.ignoredRules, normalized];
+    entry.updatedAt = new Date().toISOString();
+    entry.updatedBy = by || null;
+    all[key] = entry;
+    persist();
+  }
+
+  return entry.ignoredRules;
+}
@@ -0,0 +1,211 @@
+/**
+ * Provider Circuit Breaker
+ * Tracks the health of each provider so a failing one is skipped instead of being
+ * retried on every call (and once per model in the chain).
+ *
+ * - closed: calls go through; PROVIDER_FAILURE_THRESHOLD consecutive failures open it
+ * - open: calls are skipped until the cooldown ends. A 429 / quota error opens it at once,
+ *   for as long as Retry-After (or the provider's quota reset) says; other failures back
+ *   off exponentially from PROVIDER_COOLDOWN_MS up to PROVIDER_MAX_COOLDOWN_MS, with jitter
+ * - half-open: after the cooldown one probe call is let through; success closes the
+ *   circuit, failure opens it again with a longer cooldown
+ *
+ * Errors that say the request itself was bad (400, 404, 413, 422) don't count against the provider.
+ */
+
+const DEFAULT_FAILURE_THRESHOLD = 3;
+const DEFAULT_COOLDOWN_MS = 30000;
+const DEFAULT_MAX_COOLDOWN_MS = 600000;
+
+const REQUEST_ERRORS = [400, 404, 413, 422];
+
+const circuits = new Map();
+
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+function getCircuit(provider) {
+  if (!circuits.has(provider)) {
+    circuits.set(provider, { state: "closed", failures: 0, openCount: 0, openUntil: 0, probing: false, lastError: null });
+  }
+  return circuits.get(provider);
+}
+
+function transition(provider, circuit, state, detail) {
+  if (circuit.state === state) return;
+  circuit.state = state;
+  const icon = { closed: "🟢", open: "🔴", "half-open": "🟡" }[state];
+  console.log(`${icon} Circuit ${state} for ${provider}${detail ? ` - ${detail}` : ""}`);
+}
+
+/**
+ * HTTP status of a provider error: err.status (OpenAI, Groq, Gemini, Ollama) or
+ * a status in the message ("HTTP 429", "[429 Too Many Requests]")
+ */
+export function errorStatus(err) {
+  const status = Number(err?.status ?? err?.statusCode);
+  if (Number.isInteger(status) && status > 0) return status;
+  const match = /(?:HTTP |\[)(\d{3})\b/.exec(err?.message || "");
+  return match ? Number(match[1]) : null;
+}
+
+function header(headers, name) {
+  if (!headers) return null;
+  if (typeof headers.get === "function") return headers.get(name);
+  const key = Object.keys(headers).find(k => k.toLowerCase() === name);
+  return key ? headers[key] : null;
+}
+
+// "27s", "1.5s", "6m0s", "2h" (Groq and OpenAI reset headers, Gemini RetryInfo)
+function parseDuration(value) {
+  const parts = String(value || "").trim().match(/^(?:(\d+(?:\.\d+)?)h)?(?:(\d+(?:\.\d+)?)m(?!s))?(?:(\d+(?:\.\d+)?)s)?(?:(\d+(?:\.\d+)?)ms)?$/);
+  if (!parts || !parts.slice(1).some(Boolean)) return null;
+  const [h = 0, m = 0, s = 0, ms = 0] = parts.slice(1).map(p => Number(p || 0));
+  return Math.round(((h * 60 + m) * 60 + s) * 1000 + ms);
+}
+
+/**
+ * How long the provider asked us to wait, in ms: retry-after-ms, Retry-After (seconds
+ * or an HTTP date), an exhausted x-ratelimit-* bucket, or Gemini's RetryInfo
+ * @param {Error} err - Provider error
+ * @returns {number|null} Delay in ms, or null when the error carries none
+ */
+export function retryAfterMs(err) {
+  const headers = err?.headers || err?.response?.headers;
+
+  const ms = Number(header(headers, "retry-after-ms"));
+  if (ms > 0) return ms;
+
+  const retryAfter = header(headers, "retry-after");
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(retryAfter);
+    if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+  }
+
+  const resets = ["requests", "tokens"]
+    .filter(kind => header(headers, `x-ratelimit-remaining-${kind}`) === "0")
+    .map(kind => parseDuration(header(headers, `x-ratelimit-reset-${kind}`)))
+    .filter(delay => delay !== null);
+  if (resets.length > 0) return Math.max(...resets);
+
+  const retryInfo = (err?.errorDetails || []).find(d => String(d?.["@type"] || "").endsWith("RetryInfo"));
+  return retryInfo ? parseDuration(retryInfo.retryDelay) : null;
+}
+
+function isQuotaError(err, status) {
+  return status === 429 || /quota|rate limit|too many requests|resource.?exhausted/i.test(err?.message || "");
+}
+
+/**
+ * Exponential backoff with jitter: base * 2^n, capped, then scaled by 50-100%
+ */
+function backoffMs(openCount) {
+  const base = envInt("PROVIDER_COOLDOWN_MS", DEFAULT_COOLDOWN_MS);
+  const max = envInt("PROVIDER_MAX_COOLDOWN_MS", DEFAULT_MAX_COOLDOWN_MS);
+  const delay = Math.min(max, base * 2 ** openCount);
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+function open(provider, circuit, cooldown, reason) {
+  // Calls already in flight when the circuit opened can only push the cooldown out
+  if (circuit.state === "open") {
+    circuit.openUntil = Math.max(circuit.openUntil, Date.now() + cooldown);
+    return;
+  }
+  circuit.openUntil = Date.now() + cooldown;
+  circuit.openCount++;
+  circuit.probing = false;
+  transition(provider, circuit, "open", `${reason}, retrying in ${Math.ceil(cooldown / 1000)}s`);
+}
+
+/**
+ * Ask to call a provider
+ * @param {string} provider - Provider name
+ * @returns {object} { allowed, reason?, retryInMs? }
+ */
+export function beginAttempt(provider) {
+  const circuit = getCircuit(provider);
+
+  if (circuit.state === "open") {
+    const remaining = circuit.openUntil - Date.now();
+    if (remaining > 0) return { allowed: false, reason: "circuit open", retryInMs: remaining };
+    transition(provider, circuit, "half-open", "probing");
+  }
+
+  if (circuit.state === "half-open") {
+    if (circuit.probing) return { allowed: false, reason: "circuit half-open, probe in flight" };
+    circuit.probing = true;
+  }
+
+  return { allowed: true };
+}
+
+/**
+ * The call succeeded: reset the failure count and close the circuit
+ */
+export function recordSuccess(provider) {
+  const circuit = getCircuit(provider);
+  circuit.failures = 0;
+  circuit.openCount = 0;
+  circuit.probing = false;
+  circuit.lastError = null;
+  transition(provider, circuit, "closed", "provider recovered");
+}
+
+/**
+ * The call failed: count it against the provider, opening the circuit when needed
+ * @param {string} provider - Provider name
+ * @param {Error} err - Provider error
+ */
+export function recordFailure(provider, err) {
+  const circuit = getCircuit(provider);
+  const status = errorStatus(err);
+
+  // The provider answered; the request was at fault
+  if (REQUEST_ERRORS.includes(status)) {
+    if (circuit.state === "half-open") recordSuccess(provider);
+    return;
+  }
+
+  circuit.failures++;
+  circuit.lastError = { status, message: err?.message || String(err), at: new Date().toISOString() };
+
+  if (isQuotaError(err, status)) {
+    const requested = retryAfterMs(err);
+    open(provider, circuit, requested ?? backoffMs(circuit.openCount), requested !== null ? "rate limited (Retry-After)" : "rate limited");
+    return;
+  }
+
+  if (circuit.state === "half-open" || circuit.failures >= envInt("PROVIDER_FAILURE_THRESHOLD", DEFAULT_FAILURE_THRESHOLD)) {
+    open(provider, circuit, backoffMs(circuit.openCount), `${circuit.failures} consecutive failure(s)`);
+  }
+}
+
+/**
+ * The call ended without a verdict (e.g. the client aborted): free the half-open probe
+ */
+export function releaseAttempt(provider) {
+  getCircuit(provider).probing = false;
+}
+
+/**
+ * Circuit state per provider, for /health
+ * @param {string[]} providers - Provider names
+ * @returns {object} { [provider]: { state, failures, retryInMs?, lastError } }
+ */
+export function getProviderHealth(providers) {
+  return Object.fromEntries(providers.map(provider => {
+    const circuit = getCircuit(provider);
+    const remaining = circuit.openUntil - Date.now();
+    return [provider, {
+      state: circuit.state === "open" && remaining <= 0 ? "half-open" : circuit.state,
+      failures: circuit.failures,
+      ...(circuit.state === "open" && remaining > 0 && { retryInMs: remaining }),
+      lastError: circuit.lastError
+    }];
+  }));
+}
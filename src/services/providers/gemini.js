@@ -0,0 +1,122 @@
+/**
+ * Gemini Model Provider
+ */
+import { GoogleGenerativeAI } from "@google/generative-ai";
+import { toGeminiSchema } from "../reviewSchema.js";
+
+let client = null;
+
+function apiKey() {
+  return process.env.GEMINI_API_KEY?.trim() || "";
+}
+
+function getClient() {
+  if (!client) {
+    client = new GoogleGenerativeAI(apiKey());
+    console.log("📦 Gemini client initialized");
+  }
+  return client;
+}
+
+/**
+ * Map chat messages onto Gemini: system messages become the systemInstruction,
+ * the rest become alternating user/model turns
+ */
+function toGeminiRequest(messages) {
+  const system = messages.filter(m => m.role === "system").map(m => m.content).join("\n\n");
+  const contents = [];
+
+  for (const m of messages.filter(m => m.role !== "system")) {
+    const role = m.role === "assistant" ? "model" : "user";
+    const last = contents[contents.length - 1];
+    // Consecutive messages with the same role are merged into one turn
+    if (last?.role === role) last.parts.push({ text: m.content });
+    else contents.push({ role, parts: [{ text: m.content }] });
+  }
+
+  // Gemini needs at least one user turn; a system-only request is sent as the user turn
+  if (contents.length === 0) return { contents: [{ role: "user", parts: [{ text: system }] }] };
+  if (contents[0].role !== "user") contents.unshift({ role: "user", parts: [{ text: "(conversation continues)" }] });
+
+  return { systemInstruction: system || undefined, contents };
+}
+
+function toUsage(metadata) {
+  if (!metadata) return undefined;
+  return {
+    prompt_tokens: metadata.promptTokenCount,
+    completion_tokens: metadata.candidatesTokenCount,
+    total_tokens: metadata.totalTokenCount
+  };
+}
+
+function getModel(model, messages, schema) {
+  const { systemInstruction, contents } = toGeminiRequest(messages);
+  const generativeModel = getClient().getGenerativeModel({
+    model,
+    ...(systemInstruction && { systemInstruction }),
+    ...(schema && {
+      generationConfig: {
+        responseMimeType: "application/json",
+        responseSchema: toGeminiSchema(schema.schema)
+      }
+    })
+  });
+  return { generativeModel, contents };
+}
+
+/**
+ * @param {object} request - { model, messages, maxTokens, schema, signal }
+ */
+async function generate({ model, messages, schema, signal }) {
+  const { generativeModel, contents } = getModel(model, messages, schema);
+  const result = await generativeModel.generateContent({ contents }, { signal });
+
+  if (!result?.response) {
+    throw new Error("Invalid response structure from Gemini");
+  }
+
+  const text = result.response.text();
+  if (!text || text.trim().length === 0) {
+    throw new Error("Empty response from Gemini");
+  }
+
+  return { choices: [{ message: { content: text } }], usage: toUsage(result.response.usageMetadata) };
+}
+
+/**
+ * @param {object} request - { model, messages, maxTokens, schema, signal, onToken }
+ * @returns {Promise<object>} { content, usage }
+ */
+async function stream({ model, messages, schema, signal, onToken }) {
+  const { generativeModel, contents } = getModel(model, messages, schema);
+  const result = await generativeModel.generateContentStream({ contents }, { signal });
+
+  let content = "";
+  let usage;
+  for await (const chunk of result.stream) {
+    const text = chunk.text();
+    if (text) {
+      content += text;
+      onToken(text);
+    }
+    usage = toUsage(chunk.usageMetadata) || usage;
+  }
+  return { content, usage };
+}
+
+export default {
+  name: "gemini",
+  label: "Gemini",
+  apiKeyEnv: "GEMINI_API_KEY",
+  contextWindow: 1048576,
+  // Kept below the 100KB message cap with room for the prompt
+  chunkChars: 80000,
+  capabilities: { structuredOutput: "json-schema", streaming: true },
+  // Free-tier limits; raise them in the model config on a paid plan
+  rateLimit: { requestsPerMinute: 15, burst: 5 },
+  matches: (model) => /^gemini-/.test(model),
+  isAvailable: () => apiKey().length > 0,
+  generate,
+  stream
+};
@@ -0,0 +1,75 @@
+/**
+ * Groq Model Provider
+ */
+import Groq from "groq-sdk";
+
+let client = null;
+
+function apiKey() {
+  return process.env.GROQ_API_KEY?.trim() || "";
+}
+
+function getClient() {
+  if (!client) {
+    // No SDK retries: the circuit breaker and the fallback chain handle failures
+    client = new Groq({ apiKey: apiKey(), maxRetries: 0 });
+    console.log("📦 Groq client initialized");
+  }
+  return client;
+}
+
+function request({ model, messages, maxTokens, schema }) {
+  return {
+    model,
+    messages,
+    max_tokens: Math.min(maxTokens, 2000),
+    temperature: 0.7,
+    // json_schema is only available on a few Groq models; JSON mode works on all of them
+    ...(schema && { response_format: { type: "json_object" } })
+  };
+}
+
+/**
+ * @param {object} options - { model, messages, maxTokens, schema, signal }
+ */
+async function generate(options) {
+  return getClient().chat.completions.create(request(options), { signal: options.signal });
+}
+
+/**
+ * @param {object} options - { model, messages, maxTokens, schema, signal, onToken }
+ * @returns {Promise<object>} { content, usage }
+ */
+async function stream(options) {
+  const chunks = await getClient().chat.completions.create(
+    { ...request(options), stream: true },
+    { signal: options.signal }
+  );
+
+  let content = "";
+  let usage;
+  for await (const chunk of chunks) {
+    const text = chunk.choices?.[0]?.delta?.content;
+    if (text) {
+      content += text;
+      options.onToken(text);
+    }
+    usage = chunk.usage || chunk.x_groq?.usage || usage;
+  }
+  return { content, usage };
+}
+
+export default {
+  name: "groq",
+  label: "Groq",
+  apiKeyEnv: "GROQ_API_KEY",
+  contextWindow: 131072,
+  // Sized for free-tier tokens-per-minute limits rather than the context window
+  chunkChars: 20000,
+  capabilities: { structuredOutput: "json-object", streaming: true },
+  rateLimit: { requestsPerMinute: 30, burst: 5 },
+  matches: (model) => /^(llama-|llama3-|mixtral-|gemma2?-|qwen-|deepseek-r1-distill-|moonshotai\/|openai\/gpt-oss)/.test(model),
+  isAvailable: () => apiKey().length > 0,
+  generate,
+  stream
+};
@@ -0,0 +1,263 @@
+/**
+ * Model Provider Registry
+ *
+ * Every provider is a plugin exporting the same interface:
+ * - name, label, apiKeyEnv (null when no key is needed)
+ * - contextWindow (tokens) and chunkChars (characters of diff per review call); callModel skips
+ *   a provider when the prompt plus maxTokens won't fit its context window
+ * - capabilities: { structuredOutput: "json-schema" | "json-object" | null, streaming } - the schema
+ *   is only passed when structuredOutput is set, and stream() only called when streaming is true
+ * - matches(model) -> true when a bare model name belongs to the provider
+ * - isAvailable() -> true when the provider is configured
+ * - generate({ model, messages, maxTokens, schema, signal }) -> { choices: [{ message: { content } }], usage? }
+ *   messages keep their system / user / assistant roles; each provider maps them natively
+ * - stream({ ...same, onToken }) -> { content, usage? } - optional, calls onToken(text) per delta
+ * - rateLimit: { requestsPerMinute, burst } - optional client-side default (see rateLimiter.js)
+ * Errors should carry the HTTP `status` (and `headers` when available) so the circuit
+ * breaker can tell rate limits and outages from bad requests (see circuitBreaker.js).
+ *
+ * Fallback chains per use case (review, chat, completion) come from MODEL_CONFIG_PATH
+ * (a JSON file) or MODEL_CONFIG (inline JSON), falling back to DEFAULT_CHAINS:
+ *   { "chains": { "review": ["gemini:gemini-2.0-pro", "groq:llama-3.1-70b-versatile", "ollama:llama3"] } }
+ * Entries are "provider:model" strings or { provider, model } objects.
+ * The same config can override the providers' rate limits:
+ *   { "rateLimits": { "gemini": { "requestsPerMinute": 60, "burst": 10 }, "ollama": null } }
+ */
+import { readFileSync } from "fs";
+import gemini from "./gemini.js";
+import groq from "./groq.js";
+import openai from "./openai.js";
+import ollama from "./ollama.js";
+
+const PROVIDERS = {
+  gemini,
+  groq,
+  openai,
+  ollama
+};
+
+export const USE_CASES = ["review", "chat", "completion"];
+
+const DEFAULT_CHAINS = {
+  review: [
+    "gemini:gemini-2.0-pro",
+    "gemini:gemini-2.0-flash",
+    "groq:llama-3.1-70b-versatile",
+    "openai:gpt-4.1-mini",
+    "ollama:llama3"
+  ],
+  chat: [
+    "gemini:gemini-2.0-pro",
+    "gemini:gemini-2.0-flash",
+    "groq:llama-3.1-70b-versatile",
+    "openai:gpt-4.1-mini",
+    "ollama:llama3"
+  ],
+  completion: [
+    "gemini:gemini-2.0-flash",
+    "groq:llama-3.1-70b-versatile",
+    "openai:gpt-4.1-mini",
+    "ollama:llama3"
+  ]
+};
+
+// Rough prompt sizing; tokenizers average 3-4 characters per token on code
+const CHARS_PER_TOKEN = 3.5;
+
+let chains = null;
+let rateLimits = null;
+
+/**
+ * Get a provider plugin by name
+ * @param {string} name - Provider name
+ * @returns {object|null} Provider, or null when unknown
+ */
+export function getModelProvider(name) {
+  return PROVIDERS[String(name || "").toLowerCase()] || null;
+}
+
+/**
+ * Estimated prompt size in tokens
+ * @param {object[]} messages - [{ role, content }]
+ * @returns {number}
+ */
+export function estimateTokens(messages) {
+  const chars = messages.reduce((sum, m) => sum + String(m.content || "").length, 0);
+  return Math.ceil(chars / CHARS_PER_TOKEN);
+}
+
+/**
+ * Why a provider can't serve a request, from its declared context window
+ * @param {object} provider - Provider plugin
+ * @param {object} request - { promptTokens, maxTokens }
+ * @returns {string|null} Reason, or null when it can
+ */
+export function unsupportedReason(provider, { promptTokens, maxTokens }) {
+  if (provider.contextWindow && promptTokens + maxTokens > provider.contextWindow) {
+    return `~${promptTokens} prompt + ${maxTokens} output tokens exceed its ${provider.contextWindow}-token context window`;
+  }
+  return null;
+}
+
+/**
+ * Names of all registered providers
+ */
+export function listModelProviders() {
+  return Object.keys(PROVIDERS);
+}
+
+/**
+ * Parse a chain entry or model name into { provider, model }.
+ * "provider:model" picks the provider explicitly (Ollama tags like "llama3:8b" stay intact
+ * because "llama3" is not a provider); a bare name goes to the first provider that matches it.
+ * @param {string|object} entry - "gemini-2.0-pro", "groq:llama-3.1-8b-instant" or { provider, model }
+ * @returns {object|null} { provider, model }, or null when no provider claims the model
+ */
+export function resolveModel(entry) {
+  if (entry && typeof entry === "object") {
+    const provider = getModelProvider(entry.provider);
+    return provider && typeof entry.model === "string" && entry.model ? { provider: provider.name, model: entry.model } : null;
+  }
+  if (typeof entry !== "string" || entry.trim().length === 0) return null;
+
+  const name = entry.trim();
+  const separator = name.indexOf(":");
+  if (separator > 0) {
+    const provider = getModelProvider(name.slice(0, separator));
+    if (provider) return { provider: provider.name, model: name.slice(separator + 1) };
+  }
+
+  const owner = Object.values(PROVIDERS).find(p => p.matches(name));
+  return owner ? { provider: owner.name, model: name } : null;
+}
+
+function parseChain(useCase, entries) {
+  if (!Array.isArray(entries)) throw new Error(`chains.${useCase} must be an array`);
+  return entries.map(entry => {
+    const resolved = resolveModel(entry);
+    if (!resolved) console.warn(`⚠️  Ignoring unknown model in chains.${useCase}: ${JSON.stringify(entry)}`);
+    return resolved;
+  }).filter(Boolean);
+}
+
+function readModelConfig() {
+  let raw = null;
+  if (process.env.MODEL_CONFIG_PATH) {
+    raw = readFileSync(process.env.MODEL_CONFIG_PATH, "utf8");
+  } else if (process.env.MODEL_CONFIG) {
+    raw = process.env.MODEL_CONFIG;
+  }
+  return raw ? JSON.parse(raw) : null;
+}
+
+/**
+ * Load fallback chains (cached after first call)
+ * @param {boolean} reload - Force re-reading the sources
+ * @returns {object} { review: [{ provider, model }], chat: [...], completion: [...] }
+ */
+export function loadModelChains(reload = false) {
+  if (chains && !reload) return chains;
+
+  const loaded = {};
+  for (const useCase of USE_CASES) loaded[useCase] = parseChain(useCase, DEFAULT_CHAINS[useCase]);
+
+  try {
+    const config = readModelConfig();
+    const configured = config?.chains;
+    if (config && configured === undefined && config.rateLimits === undefined) {
+      throw new Error('expected { "chains": { "review": [...], "chat": [...], "completion": [...] } }');
+    }
+    if (configured !== undefined && (!configured || typeof configured !== "object" || Array.isArray(configured))) {
+      throw new Error('"chains" must be an object of { "review": [...], "chat": [...], "completion": [...] }');
+    }
+    for (const [useCase, entries] of Object.entries(configured || {})) {
+      if (!USE_CASES.includes(useCase)) {
+        console.warn(`⚠️  Ignoring unknown use case in model config: ${useCase} (expected ${USE_CASES.join(", ")})`);
+        continue;
+      }
+      const chain = parseChain(useCase, entries);
+      if (chain.length > 0) loaded[useCase] = chain;
+    }
+  } catch (err) {
+    console.error("❌ Failed to load model config, using default chains:", err.message);
+  }
+
+  chains = loaded;
+  console.log("MODEL CHAINS:", Object.fromEntries(
+    Object.entries(chains).map(([useCase, chain]) => [useCase, chain.map(m => `${m.provider}:${m.model}`).join(" → ")])
+  ));
+  return chains;
+}
+
+/**
+ * Rate limit overrides from the model config (cached after first call).
+ * null turns a provider's default limit off.
+ * @param {boolean} reload - Force re-reading the sources
+ * @returns {object} { [provider]: { requestsPerMinute, burst } | null }
+ */
+export function loadRateLimits(reload = false) {
+  if (rateLimits && !reload) return rateLimits;
+
+  const loaded = {};
+  try {
+    const configured = readModelConfig()?.rateLimits;
+    if (configured !== undefined && (!configured || typeof configured !== "object" || Array.isArray(configured))) {
+      throw new Error('"rateLimits" must be an object of { "<provider>": { "requestsPerMinute": n, "burst": n } }');
+    }
+    for (const [name, limit] of Object.entries(configured || {})) {
+      const provider = getModelProvider(name);
+      if (!provider) {
+        console.warn(`⚠️  Ignoring rate limit for unknown provider: ${name}`);
+        continue;
+      }
+      if (limit === null) {
+        loaded[provider.name] = null;
+        continue;
+      }
+      const requestsPerMinute = Number(limit?.requestsPerMinute);
+      const burst = limit?.burst === undefined ? 1 : Number(limit.burst);
+      if (!(requestsPerMinute > 0) || !(burst >= 1)) {
+        console.warn(`⚠️  Ignoring invalid rate limit for ${name}: ${JSON.stringify(limit)}`);
+        continue;
+      }
+      loaded[provider.name] = { requestsPerMinute, burst: Math.floor(burst) };
+    }
+  } catch (err) {
+    console.error("❌ Failed to load rate limits, using provider defaults:", err.message);
+  }
+
+  rateLimits = loaded;
+  return rateLimits;
+}
+
+/**
+ * Attempt order for one call: the requested model first, then the use case's chain.
+ * A preferred provider (e.g. from .prreviewer.yml) moves its models ahead of the others,
+ * unless the requested model already belongs to it.
+ * @param {string} modelName - Requested model
+ * @param {object} options - { useCase, provider }
+ * @returns {object[]} [{ provider, model }] without duplicates
+ */
+export function buildAttemptChain(modelName, options = {}) {
+  const useCase = USE_CASES.includes(options.useCase) ? options.useCase : "chat";
+  const chain = loadModelChains()[useCase];
+  // Bare names no provider claims (e.g. local "llama3") are found through the chains
+  const requested = resolveModel(modelName)
+    || Object.values(loadModelChains()).flat().find(m => m.model === modelName)
+    || null;
+  if (modelName && !requested) console.warn(`⚠️  No provider serves model "${modelName}", using the ${useCase} chain`);
+
+  const preferred = getModelProvider(options.provider)?.name;
+  const ordered = preferred && requested?.provider !== preferred
+    ? [...chain.filter(m => m.provider === preferred), requested, ...chain]
+    : [requested, ...chain];
+
+  const seen = new Set();
+  return ordered.filter(m => {
+    if (!m) return false;
+    const key = `${m.provider}:${m.model}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
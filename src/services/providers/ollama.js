@@ -0,0 +1,105 @@
+/**
+ * Ollama Model Provider
+ * Local models on OLLAMA_HOST; always tried, since there is no key to check.
+ */
+import fetch from "node-fetch";
+
+function chatRequest({ model, messages, schema, signal }, streaming) {
+  const ollamaHost = process.env.OLLAMA_HOST || "http://localhost:11434";
+
+  return fetch(`${ollamaHost}/api/chat`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      model,
+      messages,
+      stream: streaming,
+      ...(schema && { format: schema.schema })
+    }),
+    // A streamed reply can take longer than 30s in total; the caller's signal bounds it
+    ...(!streaming && { timeout: 30000 }),
+    signal
+  }).then(r => {
+    if (!r.ok) {
+      const err = new Error(`HTTP ${r.status}`);
+      err.status = r.status;
+      err.headers = r.headers;
+      throw err;
+    }
+    return r;
+  });
+}
+
+function toUsage(data) {
+  if (data?.prompt_eval_count === undefined && data?.eval_count === undefined) return undefined;
+  const prompt = data.prompt_eval_count || 0;
+  const completion = data.eval_count || 0;
+  return { prompt_tokens: prompt, completion_tokens: completion, total_tokens: prompt + completion };
+}
+
+/**
+ * @param {object} request - { model, messages, maxTokens, schema, signal }
+ */
+async function generate(request) {
+  const res = await chatRequest(request, false).then(r => r.json());
+
+  const content = res?.message?.content;
+  if (typeof content !== "string") {
+    throw new Error("Invalid response from Ollama");
+  }
+  if (content.trim().length === 0) {
+    throw new Error("Empty response from Ollama");
+  }
+
+  return { choices: [{ message: { content } }], usage: toUsage(res) };
+}
+
+/**
+ * Streamed replies are newline-delimited JSON objects; the last one has done: true and the counts
+ * @param {object} request - { model, messages, maxTokens, schema, signal, onToken }
+ * @returns {Promise<object>} { content, usage }
+ */
+async function stream(request) {
+  const res = await chatRequest(request, true);
+
+  let content = "";
+  let usage;
+  let buffered = "";
+  const handleLine = (line) => {
+    if (!line.trim()) return;
+    const data = JSON.parse(line);
+    if (data.error) throw new Error(data.error);
+    const text = data.message?.content;
+    if (text) {
+      content += text;
+      request.onToken(text);
+    }
+    if (data.done) usage = toUsage(data);
+  };
+
+  // A multi-byte character can be split across chunks; the decoder holds the partial bytes back
+  const decoder = new TextDecoder();
+  for await (const chunk of res.body) {
+    buffered += decoder.decode(chunk, { stream: true });
+    const lines = buffered.split("\n");
+    buffered = lines.pop();
+    lines.forEach(handleLine);
+  }
+  handleLine(buffered + decoder.decode());
+
+  return { content, usage };
+}
+
+export default {
+  name: "ollama",
+  label: "Ollama",
+  apiKeyEnv: null,
+  contextWindow: 8192,
+  chunkChars: 12000,
+  capabilities: { structuredOutput: "json-schema", streaming: true },
+  // Only explicit "ollama:" names or models listed under ollama in a chain
+  matches: () => false,
+  isAvailable: () => true,
+  generate,
+  stream
+};
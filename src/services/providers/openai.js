@@ -0,0 +1,78 @@
+/**
+ * OpenAI Model Provider
+ */
+import OpenAI from "openai";
+
+let client = null;
+
+function apiKey() {
+  return process.env.OPENAI_API_KEY?.trim() || "";
+}
+
+function getClient() {
+  if (!client) {
+    // No SDK retries: the circuit breaker and the fallback chain handle failures
+    client = new OpenAI({ apiKey: apiKey(), maxRetries: 0 });
+    console.log("📦 OpenAI client initialized");
+  }
+  return client;
+}
+
+function request({ model, messages, maxTokens, schema }) {
+  return {
+    model,
+    messages,
+    max_tokens: Math.min(maxTokens, 2000),
+    temperature: 0.7,
+    ...(schema && {
+      response_format: {
+        type: "json_schema",
+        json_schema: { name: schema.name, schema: schema.schema }
+      }
+    })
+  };
+}
+
+/**
+ * @param {object} options - { model, messages, maxTokens, schema, signal }
+ */
+async function generate(options) {
+  return getClient().chat.completions.create(request(options), { signal: options.signal });
+}
+
+/**
+ * @param {object} options - { model, messages, maxTokens, schema, signal, onToken }
+ * @returns {Promise<object>} { content, usage }
+ */
+async function stream(options) {
+  const chunks = await getClient().chat.completions.create(
+    { ...request(options), stream: true, stream_options: { include_usage: true } },
+    { signal: options.signal }
+  );
+
+  let content = "";
+  let usage;
+  for await (const chunk of chunks) {
+    const text = chunk.choices?.[0]?.delta?.content;
+    if (text) {
+      content += text;
+      options.onToken(text);
+    }
+    usage = chunk.usage || usage;
+  }
+  return { content, usage };
+}
+
+export default {
+  name: "openai",
+  label: "OpenAI",
+  apiKeyEnv: "OPENAI_API_KEY",
+  contextWindow: 1047576,
+  chunkChars: 80000,
+  capabilities: { structuredOutput: "json-schema", streaming: true },
+  rateLimit: { requestsPerMinute: 500, burst: 20 },
+  matches: (model) => /^(gpt-|o\d|chatgpt-)/.test(model),
+  isAvailable: () => apiKey().length > 0,
+  generate,
+  stream
+};
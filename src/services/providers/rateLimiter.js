@@ -0,0 +1,109 @@
+/**
+ * Provider Rate Limiter
+ * One token bucket per provider, so a burst of reviews stays inside the plan's limits
+ * instead of running into 429s. A bucket holds `burst` tokens and refills at
+ * `requestsPerMinute`; each call takes one.
+ *
+ * Limits come from the provider's `rateLimit` default, overridden per provider by
+ * `rateLimits` in the model config (see index.js). A provider without a limit is not throttled.
+ * A call waits for a token up to PROVIDER_MAX_WAIT_MS; when the wait would be longer
+ * the provider is skipped and the chain moves on.
+ */
+import { getModelProvider, loadRateLimits } from "./index.js";
+
+const DEFAULT_MAX_WAIT_MS = 20000;
+
+const buckets = new Map();
+
+function maxWaitMs() {
+  const value = parseInt(process.env.PROVIDER_MAX_WAIT_MS, 10);
+  return Number.isFinite(value) && value >= 0 ? value : DEFAULT_MAX_WAIT_MS;
+}
+
+/**
+ * Effective limit for a provider
+ * @returns {object|null} { requestsPerMinute, burst }, or null when unlimited
+ */
+export function getRateLimit(provider) {
+  const overrides = loadRateLimits();
+  const limit = provider in overrides ? overrides[provider] : getModelProvider(provider)?.rateLimit;
+  if (!limit?.requestsPerMinute) return null;
+  return { requestsPerMinute: limit.requestsPerMinute, burst: limit.burst || 1 };
+}
+
+function getBucket(provider, limit) {
+  let bucket = buckets.get(provider);
+  // A changed limit (config reload) starts a fresh bucket
+  if (!bucket || bucket.requestsPerMinute !== limit.requestsPerMinute || bucket.burst !== limit.burst) {
+    bucket = { ...limit, tokens: limit.burst, updatedAt: Date.now() };
+    buckets.set(provider, bucket);
+  }
+  return bucket;
+}
+
+function refill(bucket) {
+  const now = Date.now();
+  bucket.tokens = Math.min(bucket.burst, bucket.tokens + (now - bucket.updatedAt) * bucket.requestsPerMinute / 60000);
+  bucket.updatedAt = now;
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    // An already-aborted signal never fires "abort" again
+    if (signal?.aborted) return reject(new Error("Request aborted"));
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new Error("Request aborted"));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+/**
+ * Take a token for one call, waiting for the bucket to refill when needed
+ * @param {string} provider - Provider name
+ * @param {object} options - { signal }
+ * @returns {Promise<object>} { acquired, waitMs } - acquired is false when the wait would exceed PROVIDER_MAX_WAIT_MS
+ */
+export async function acquireToken(provider, { signal } = {}) {
+  const limit = getRateLimit(provider);
+  if (!limit) return { acquired: true, waitMs: 0 };
+
+  const bucket = getBucket(provider, limit);
+  refill(bucket);
+
+  // Reserve the token now (the count may go negative) so concurrent callers queue up behind it
+  const waitMs = bucket.tokens >= 1 ? 0 : Math.ceil((1 - bucket.tokens) * 60000 / bucket.requestsPerMinute);
+  if (waitMs > maxWaitMs()) return { acquired: false, waitMs };
+  bucket.tokens -= 1;
+
+  if (waitMs > 0) {
+    console.log(`⏳ ${provider} rate limit: waiting ${waitMs}ms for a request slot`);
+    try {
+      await sleep(waitMs, signal);
+    } catch (err) {
+      bucket.tokens += 1;
+      throw err;
+    }
+  }
+  return { acquired: true, waitMs };
+}
+
+/**
+ * Bucket levels per provider, for /health
+ * @param {string[]} providers - Provider names
+ * @returns {object} { [provider]: { requestsPerMinute, burst, available } | null }
+ */
+export function getRateLimitState(providers) {
+  return Object.fromEntries(providers.map(provider => {
+    const limit = getRateLimit(provider);
+    if (!limit) return [provider, null];
+    const bucket = getBucket(provider, limit);
+    refill(bucket);
+    return [provider, { ...limit, available: Math.max(0, Math.floor(bucket.tokens)) }];
+  }));
+}
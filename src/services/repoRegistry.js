@@ -0,0 +1,178 @@
+/**
+ * Repository Registry
+ * Decides which repositories the service may review, and with which credentials and settings.
+ *
+ * Sources (all optional):
+ * - REPO_REGISTRY_PATH: path to a JSON file, or REPO_REGISTRY: inline JSON
+ *     { "repositories": { "workspace/repo": { ...entry }, "github:owner/*": { ...entry } } }
+ *   Keys may be prefixed with an SCM provider ("github:"); unprefixed keys match any provider.
+ *   Entry fields: authEnv (name of the env var holding the token), auth (token, avoid in files),
+ *   webhookSecret (string or list), settings (free-form per-repo settings), enabled (default true)
+ * - ALLOWED_REPOSITORIES: comma-separated allowlist, supports "workspace/*", "*" and provider prefixes
+ * - BITBUCKET_WORKSPACE / BITBUCKET_REPO: legacy single-repository default
+ */
+import { readFileSync } from "fs";
+
+// GitLab namespaces can nest ("group/subgroup/project")
+const FULL_NAME_PATTERN = /^[\w.-]+(\/[\w.-]+)+$/;
+
+// Fallback credentials per SCM provider when the registry entry has none
+const DEFAULT_AUTH_ENV = {
+  bitbucket: "BITBUCKET_AUTH",
+  github: "GITHUB_TOKEN",
+  gitlab: "GITLAB_TOKEN"
+};
+
+let registry = null;
+
+/**
+ * Load and normalize the registry (cached after first call)
+ * @param {boolean} reload - Force re-reading the sources
+ * @returns {Object} { entries: { [pattern]: entry }, allowlist: string[] }
+ */
+export function loadRegistry(reload = false) {
+  if (registry && !reload) return registry;
+
+  const entries = {};
+  let raw = null;
+
+  try {
+    if (process.env.REPO_REGISTRY_PATH) {
+      raw = readFileSync(process.env.REPO_REGISTRY_PATH, "utf8");
+    } else if (process.env.REPO_REGISTRY) {
+      raw = process.env.REPO_REGISTRY;
+    }
+
+    if (raw) {
+      const parsed = JSON.parse(raw);
+      const repositories = parsed?.repositories;
+      if (!repositories || typeof repositories !== "object" || Array.isArray(repositories)) {
+        throw new Error('expected { "repositories": { ... } }');
+      }
+      for (const [pattern, entry] of Object.entries(repositories)) {
+        entries[pattern.toLowerCase()] = entry && typeof entry === "object" ? entry : {};
+      }
+    }
+  } catch (err) {
+    console.error("❌ Failed to load repository registry:", err.message);
+  }
+
+  const allowlist = (process.env.ALLOWED_REPOSITORIES || "")
+    .split(",")
+    .map(s => s.trim().toLowerCase())
+    .filter(Boolean);
+
+  // Legacy single-repo deployments keep working without any new config
+  if (Object.keys(entries).length === 0 && allowlist.length === 0) {
+    const workspace = process.env.BITBUCKET_WORKSPACE || "airtel123";
+    const repo = process.env.BITBUCKET_REPO || "pr-reviewer-plugin";
+    allowlist.push(`bitbucket:${workspace}/${repo}`.toLowerCase());
+  }
+
+  registry = { entries, allowlist };
+  return registry;
+}
+
+function matchPattern(pattern, fullName, provider) {
+  const prefix = `${provider}:`;
+  if (pattern.includes(":")) {
+    if (!pattern.startsWith(prefix)) return false;
+    pattern = pattern.slice(prefix.length);
+  }
+  if (pattern === "*" || pattern === fullName) return true;
+  if (pattern.endsWith("/*")) return fullName.startsWith(pattern.slice(0, -1));
+  return false;
+}
+
+/**
+ * Find the most specific registry entry: exact name, then "workspace/*", then "*",
+ * preferring provider-prefixed keys at each level
+ */
+function findEntry(entries, fullName, provider) {
+  const workspace = fullName.slice(0, fullName.lastIndexOf("/"));
+  for (const candidate of [fullName, `${workspace}/*`, "*"]) {
+    const entry = entries[`${provider}:${candidate}`] || entries[candidate];
+    if (entry) return entry;
+  }
+  return null;
+}
+
+/**
+ * Parse a "workspace/repo" full name; nested namespaces keep everything
+ * before the last slash as the workspace
+ * @param {string} fullName - Repository full name
+ * @returns {Object|null} { workspace, repo, fullName } or null if malformed
+ */
+export function parseFullName(fullName) {
+  if (typeof fullName !== "string" || !FULL_NAME_PATTERN.test(fullName.trim())) return null;
+  const trimmed = fullName.trim();
+  const slash = trimmed.lastIndexOf("/");
+  return { workspace: trimmed.slice(0, slash), repo: trimmed.slice(slash + 1), fullName: trimmed };
+}
+
+/**
+ * Resolve configuration for a repository
+ * @param {string} fullName - Repository full name ("workspace/repo")
+ * @param {string} provider - SCM provider name
+ * @returns {Object} { allowed, reason, provider, workspace, repo, fullName, auth, webhookSecrets, settings }
+ */
+export function resolveRepository(fullName, provider = "bitbucket") {
+  const parsed = parseFullName(fullName);
+  if (!parsed) {
+    return { allowed: false, reason: `Invalid repository name: ${fullName}` };
+  }
+
+  const { entries, allowlist } = loadRegistry();
+  const key = parsed.fullName.toLowerCase();
+  const entry = findEntry(entries, key, provider);
+
+  const allowed = entry
+    ? entry.enabled !== false
+    : allowlist.some(pattern => matchPattern(pattern, key, provider));
+
+  if (!allowed) {
+    return { ...parsed, provider, allowed: false, reason: `Repository ${parsed.fullName} is not in the allowlist` };
+  }
+
+  const auth = (entry?.authEnv && process.env[entry.authEnv])
+    || entry?.auth
+    || process.env[DEFAULT_AUTH_ENV[provider]];
+  const webhookSecret = entry?.webhookSecret;
+
+  return {
+    ...parsed,
+    provider,
+    allowed: true,
+    auth,
+    webhookSecrets: Array.isArray(webhookSecret) ? webhookSecret : (webhookSecret ? [webhookSecret] : []),
+    settings: entry?.settings && typeof entry.settings === "object" ? entry.settings : {}
+  };
+}
+
+/**
+ * Whether any registry entry carries a webhook secret
+ */
+export function hasRegistryWebhookSecrets() {
+  return Object.values(loadRegistry().entries).some(entry => {
+    const secret = entry.webhookSecret;
+    return Array.isArray(secret) ? secret.some(Boolean) : Boolean(secret);
+  });
+}
+
+/**
+ * Summary for health checks (no credentials)
+ */
+export function getRegistrySummary() {
+  const { entries, allowlist } = loadRegistry();
+  return {
+    registered: Object.keys(entries),
+    allowlist
+  };
+}
+
+export default {
+  loadRegistry,
+  parseFullName,
+  resolveRepository,
+  getRegistrySummary
+};
@@ -0,0 +1,246 @@
+/**
+ * Repository Review Config
+ * Loads and validates the .prreviewer.yml file at the root of the PR's destination branch.
+ *
+ * Example:
+ *   ignore: ["dist/**", "*.snap"]
+ *   skipGenerated: true
+ *   alwaysReview: ["src/generated/api.ts"]
+ *   focus: [security, performance]
+ *   severityThreshold: major
+ *   maxComments: 20
+ *   provider: groq
+ *   model: llama-3.1-70b-versatile
+ *   language: German
+ *   instructions: Prefer async/await over promise chains.
+ *   generateTests: comment       # or patch / off
+ */
+import YAML from "yaml";
+import { normalizePath, splitDiffByFile } from "./diffParser.js";
+import { normalizeSeverity, severityRank, sortFindings } from "./findings.js";
+import { isBlockingFinding } from "./mergeGate.js";
+import { TEST_MODES } from "./testGenerator.js";
+import { listModelProviders } from "./providers/index.js";
+
+export const CONFIG_FILE = ".prreviewer.yml";
+
+const PROVIDERS = listModelProviders();
+const MAX_INSTRUCTIONS = 2000;
+const MAX_COMMENTS = 100;
+
+const SCHEMA = {
+  ignore: "list of path globs",
+  skipGenerated: "boolean",
+  alwaysReview: "list of path globs",
+  focus: "list of focus areas",
+  severityThreshold: "severity (critical, major, minor, nit)",
+  maxComments: `integer between 0 and ${MAX_COMMENTS}`,
+  provider: PROVIDERS.join(" | "),
+  model: "model name",
+  language: "language name",
+  instructions: `text up to ${MAX_INSTRUCTIONS} characters`,
+  generateTests: TEST_MODES.join(" | ")
+};
+
+function isStringList(value) {
+  return Array.isArray(value) && value.every(v => typeof v === "string" && v.trim().length > 0);
+}
+
+/**
+ * Validate a parsed config object
+ * @param {*} raw - Parsed YAML
+ * @returns {object} { config, errors: string[] }
+ */
+export function validateReviewConfig(raw) {
+  const errors = [];
+  const config = {};
+
+  if (raw === null || raw === undefined) return { config, errors };
+  if (typeof raw !== "object" || Array.isArray(raw)) {
+    return { config, errors: ["the file must contain a mapping of settings"] };
+  }
+
+  for (const key of Object.keys(raw)) {
+    if (!Object.hasOwn(SCHEMA, key)) {
+      errors.push(`\`${key}\` is not a known setting (expected one of: ${Object.keys(SCHEMA).join(", ")})`);
+    }
+  }
+
+  for (const key of ["ignore", "alwaysReview", "focus"]) {
+    if (raw[key] === undefined) continue;
+    if (!isStringList(raw[key])) errors.push(`\`${key}\` must be a ${SCHEMA[key]}`);
+    else config[key] = raw[key].map(v => v.trim());
+  }
+
+  if (raw.skipGenerated !== undefined) {
+    if (typeof raw.skipGenerated !== "boolean") errors.push("`skipGenerated` must be true or false");
+    else config.skipGenerated = raw.skipGenerated;
+  }
+
+  if (raw.severityThreshold !== undefined) {
+    const severity = normalizeSeverity(raw.severityThreshold);
+    if (!severity) errors.push(`\`severityThreshold\` must be a ${SCHEMA.severityThreshold}`);
+    else config.severityThreshold = severity;
+  }
+
+  if (raw.maxComments !== undefined) {
+    if (!Number.isInteger(raw.maxComments) || raw.maxComments < 0 || raw.maxComments > MAX_COMMENTS) {
+      errors.push(`\`maxComments\` must be an ${SCHEMA.maxComments}`);
+    } else {
+      config.maxComments = raw.maxComments;
+    }
+  }
+
+  if (raw.provider !== undefined) {
+    if (!PROVIDERS.includes(String(raw.provider).toLowerCase())) errors.push(`\`provider\` must be one of: ${SCHEMA.provider}`);
+    else config.provider = String(raw.provider).toLowerCase();
+  }
+
+  if (raw.generateTests !== undefined) {
+    if (!TEST_MODES.includes(String(raw.generateTests).toLowerCase())) errors.push(`\`generateTests\` must be one of: ${SCHEMA.generateTests}`);
+    else config.generateTests = String(raw.generateTests).toLowerCase();
+  }
+
+  for (const key of ["model", "language", "instructions"]) {
+    if (raw[key] === undefined) continue;
+    if (typeof raw[key] !== "string" || raw[key].trim().length === 0) {
+      errors.push(`\`${key}\` must be a non-empty string`);
+    } else if (key === "instructions" && raw[key].length > MAX_INSTRUCTIONS) {
+      errors.push(`\`instructions\` must be at most ${MAX_INSTRUCTIONS} characters`);
+    } else {
+      config[key] = raw[key].trim();
+    }
+  }
+
+  return { config, errors };
+}
+
+/**
+ * Parse and validate config file text
+ * @param {string} text - YAML source
+ * @returns {object} { config, errors: string[] }
+ */
+export function parseReviewConfig(text) {
+  let raw;
+  try {
+    raw = YAML.parse(text);
+  } catch (err) {
+    return { config: {}, errors: [`YAML syntax error: ${err.message.split("\n")[0]}`] };
+  }
+  return validateReviewConfig(raw);
+}
+
+/**
+ * Fetch the config from the destination branch. A missing file is not an error.
+ * @param {object} scm - SCM provider
+ * @param {object} ctx - SCM context
+ * @param {string} ref - Branch to read from (falls back to the PR's head commit)
+ * @returns {Promise<object>} { found, config, errors: string[] }
+ */
+export async function loadReviewConfig(scm, ctx, ref) {
+  if (!scm.fetchFileContent) return { found: false, config: {}, errors: [] };
+
+  let text;
+  try {
+    text = await scm.fetchFileContent(ctx, CONFIG_FILE, ref || ctx.commit);
+  } catch (err) {
+    if (err.response?.status === 404) return { found: false, config: {}, errors: [] };
+    throw err;
+  }
+
+  return { found: true, ...parseReviewConfig(typeof text === "string" ? text : String(text ?? "")) };
+}
+
+/**
+ * Render validation errors as a PR comment
+ * @param {string[]} errors - From validateReviewConfig()
+ * @returns {string} Markdown
+ */
+export function formatConfigErrors(errors) {
+  return [
+    `⚠️ **Invalid \`${CONFIG_FILE}\`** - this review used the default settings.`,
+    "",
+    ...errors.map(e => `- ${e}`)
+  ].join("\n");
+}
+
+/**
+ * Convert a path glob to a RegExp: "**" spans directories, "*" and "?" stay within one.
+ * Patterns without a slash match the file name in any directory.
+ */
+export function globToRegExp(glob) {
+  let pattern = normalizePath(glob);
+  if (!pattern.includes("/")) pattern = `**/${pattern}`;
+  if (pattern.endsWith("/")) pattern += "**";
+
+  let source = "";
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    if (ch === "*" && pattern[i + 1] === "*") {
+      const slash = pattern[i + 2] === "/";
+      source += slash ? "(?:.*/)?" : ".*";
+      i += slash ? 2 : 1;
+    } else if (ch === "*") {
+      source += "[^/]*";
+    } else if (ch === "?") {
+      source += "[^/]";
+    } else {
+      source += ch.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Whether a path matches any of the globs
+ */
+export function matchesAny(filePath, globs = []) {
+  const normalized = normalizePath(filePath);
+  return globs.some(glob => globToRegExp(glob).test(normalized));
+}
+
+/**
+ * Drop ignored files from a unified diff
+ * @param {string} diff - Unified diff
+ * @param {string[]} globs - Ignore globs
+ * @returns {string} Diff without the ignored files
+ */
+export function filterIgnoredFiles(diff, globs = []) {
+  if (!diff || globs.length === 0) return diff;
+  return splitDiffByFile(diff)
+    .filter(f => !matchesAny(f.path, globs))
+    .map(f => f.text)
+    .join("\n");
+}
+
+/**
+ * Apply the config to review findings: ignored paths, severity threshold, then the comment cap.
+ * Findings without a severity are kept by the threshold. The cap keeps the most severe findings,
+ * and findings that fail the merge gate pass both the threshold and the cap, so a repo config
+ * can't hide them from the review or get a PR through the gate.
+ * @param {object[]} comments - Review comments
+ * @param {object} config - Validated config
+ * @param {object} failOn - Output of mergeGate.getFailOn()
+ * @returns {object[]} Remaining comments
+ */
+export function applyConfigToComments(comments, config = {}, failOn) {
+  if (!Array.isArray(comments)) return comments;
+  let result = comments;
+  const blocking = c => Boolean(failOn) && isBlockingFinding(c, failOn);
+
+  if (config.ignore?.length) {
+    result = result.filter(c => !c?.file || !matchesAny(c.file, config.ignore));
+  }
+
+  if (config.severityThreshold) {
+    const min = severityRank(config.severityThreshold);
+    result = result.filter(c => blocking(c) || !c?.severity || severityRank(c.severity) >= min);
+  }
+
+  if (Number.isInteger(config.maxComments) && result.length > config.maxComments) {
+    let room = Math.max(0, config.maxComments - result.filter(blocking).length);
+    result = sortFindings(result, "severity").filter(c => blocking(c) || room-- > 0);
+  }
+
+  return result;
+}
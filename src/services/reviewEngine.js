@@ -0,0 +1,384 @@
+import { callModel, pickModel } from "./modelRouter.js";
+import { reviewMessages, reviewSummaryMessages, repairMessages } from "./prompts.js";
+import { parseDiff } from "./diffParser.js";
+import { chunkDiff, getChunkBudget } from "./diffChunker.js";
+import { normalizeFinding } from "./findings.js";
+import { REVIEW_SCHEMA, validateReviewSchema } from "./reviewSchema.js";
+import { mergeDiagnostics } from "./staticAnalysis.js";
+
+const RESPONSE_SCHEMA = { name: "code_review", schema: REVIEW_SCHEMA };
+// The repair prompt quotes the bad response; keep it well inside the message cap
+const MAX_REPAIR_RESPONSE_CHARS = 20000;
+
+/**
+ * Extract JSON from various text formats with multiple fallback strategies
+ */
+export function extractJSON(text) {
+  if (!text || typeof text !== "string") {
+    throw new Error("Invalid input: expected string");
+  }
+
+  const trimmed = text.trim();
+  if (trimmed.length === 0) {
+    throw new Error("Empty text provided");
+  }
+  
+  try {
+    // First try: direct JSON parsing
+    return JSON.parse(trimmed);
+  } catch (e) {
+    // Second try: markdown code blocks (```json ... ```)
+    const jsonMatch = text.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
+    if (jsonMatch && jsonMatch[1]) {
+      try {
+        return JSON.parse(jsonMatch[1].trim());
+      } catch (innerErr) {
+        console.warn("⚠️  Failed to parse JSON from code block");
+      }
+    }
+    
+    // Third try: find JSON object/array in text
+    const objectMatch = text.match(/(\{[\s\S]*\}|\[[\s\S]*\])/);
+    if (objectMatch && objectMatch[1]) {
+      try {
+        return JSON.parse(objectMatch[1]);
+      } catch (innerErr) {
+        console.warn("⚠️  Failed to parse extracted JSON object");
+      }
+    }
+
+    // Fourth try: look for labeled JSON sections
+    const labeledMatch = text.match(/(?:"summary"|"comments"|"patches"|"testCases")\s*:[\s\S]*?(\{[\s\S]*?\})/);
+    if (labeledMatch && labeledMatch[1]) {
+      try {
+        return JSON.parse(labeledMatch[1]);
+      } catch (innerErr) {
+        console.warn("⚠️  Failed to parse labeled JSON");
+      }
+    }
+    
+    throw new Error("Could not extract valid JSON from response after multiple attempts");
+  }
+}
+
+/**
+ * Create default review response
+ */
+export function createDefaultReview() {
+  return {
+    summary: "Automated code review completed. Please review for accuracy.",
+    comments: [],
+    patches: [],
+    testCases: [],
+    status: "default"
+  };
+}
+
+/**
+ * Validate and sanitize review data
+ */
+export function validateReview(data) {
+  if (!data || typeof data !== "object") {
+    return createDefaultReview();
+  }
+
+  try {
+    return {
+      summary: typeof data.summary === "string" 
+        ? data.summary.trim().substring(0, 3000)
+        : "Code review completed.",
+      // Every finding carries severity, category, confidence and a line range
+      comments: Array.isArray(data.comments) 
+        ? data.comments.map(normalizeFinding).filter(Boolean).slice(0, 100)
+        : [],
+      patches: Array.isArray(data.patches) 
+        ? data.patches.filter(p => 
+            p && typeof p === "object" 
+            && typeof p.file === "string" && p.file.trim().length > 0
+            && typeof p.diff === "string" && p.diff.trim().length > 0
+          ).slice(0, 30)
+        : [],
+      testCases: Array.isArray(data.testCases) 
+        ? data.testCases
+            .filter(tc => typeof tc === "string" && tc.trim().length > 0)
+            .map(tc => tc.substring(0, 500))
+            .slice(0, 20)
+        : [],
+      status: "validated"
+    };
+  } catch (err) {
+    console.error("❌ Review validation error:", err.message);
+    return createDefaultReview();
+  }
+}
+
+function readIntEnv(name, fallback, min = 1) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) || value < min ? fallback : value;
+}
+
+/**
+ * Parse a model response into a validated review. Responses that are not JSON or
+ * don't match REVIEW_SCHEMA get up to REVIEW_REPAIR_ATTEMPTS (default 1) repair
+ * prompts listing the validation errors; after that, a best-effort parse is used,
+ * and plain text becomes the summary (rawResponse: true).
+ * @param {string} responseText - Model output
+ * @param {object} options - { model, provider, repairAttempts, callBudget: { remaining } }
+ * @returns {Promise<object>} Validated review plus { model, schemaValid, repairs, rawResponse? }
+ */
+export async function parseReviewResponse(responseText, options = {}) {
+  const model = options.model || pickModel("review");
+  const maxRepairs = options.repairAttempts ?? readIntEnv("REVIEW_REPAIR_ATTEMPTS", 1, 0);
+
+  let text = responseText;
+  let parsed = null;
+  let repairs = 0;
+
+  for (;;) {
+    let errors;
+    try {
+      parsed = extractJSON(text);
+      errors = validateReviewSchema(parsed);
+    } catch (parseErr) {
+      errors = [`response is not valid JSON: ${parseErr.message}`];
+    }
+
+    if (errors.length === 0) {
+      return { ...validateReview(parsed), model, schemaValid: true, repairs };
+    }
+
+    const budget = options.callBudget;
+    if (repairs >= maxRepairs || (budget && budget.remaining <= 0)) {
+      console.warn(`⚠️  Review response failed schema validation: ${errors.slice(0, 3).join("; ")}`);
+      break;
+    }
+
+    repairs++;
+    if (budget) budget.remaining--;
+    console.log(`🔧 Asking for a repaired response (attempt ${repairs}/${maxRepairs}, ${errors.length} errors)...`);
+
+    try {
+      const messages = repairMessages(text.substring(0, MAX_REPAIR_RESPONSE_CHARS), errors, REVIEW_SCHEMA);
+      const result = await callModel(model, messages, 2000, {
+        useCase: "review",
+        provider: options.provider,
+        responseSchema: RESPONSE_SCHEMA
+      });
+      const repaired = result?.choices?.[0]?.message?.content;
+      if (!repaired || typeof repaired !== "string" || repaired.trim().length === 0) break;
+      text = repaired;
+    } catch (err) {
+      console.warn("⚠️  Repair request failed:", err.message);
+      break;
+    }
+  }
+
+  // Fallback: keep whatever validateReview can salvage from the last JSON we got
+  if (parsed && typeof parsed === "object") {
+    return { ...validateReview(parsed), model, schemaValid: false, repairs };
+  }
+
+  return {
+    ...createDefaultReview(),
+    summary: responseText.substring(0, 2000),
+    rawResponse: true,
+    model,
+    schemaValid: false,
+    repairs
+  };
+}
+
+/**
+ * Review one diff (or chunk) with a single model call (plus any repair calls)
+ */
+async function reviewOnce(input, options) {
+  const { title = "", description = "", diff } = input;
+
+  const filesChanged = Array.isArray(input.filesChanged)
+    ? input.filesChanged
+    : parseDiff(diff).map(f => f.path).filter(Boolean);
+
+  const messages = reviewMessages(
+    title.substring(0, 500),
+    description.substring(0, 5000),
+    diff,
+    filesChanged.slice(0, 100),
+    {
+      focus: options.focus,
+      language: options.language,
+      instructions: options.instructions,
+      // Chunks only see the diagnostics for their own files
+      diagnostics: (input.diagnostics || []).filter(d => filesChanged.includes(d.file))
+    }
+  );
+
+  const model = options.model || pickModel("review");
+  const result = await callModel(model, messages, 2000, {
+    useCase: "review",
+    provider: options.provider,
+    responseSchema: RESPONSE_SCHEMA
+  });
+
+  const responseText = result?.choices?.[0]?.message?.content;
+  if (!responseText || typeof responseText !== "string" || responseText.trim().length === 0) {
+    throw new Error("Empty response from AI model");
+  }
+
+  return parseReviewResponse(responseText, { ...options, model });
+}
+
+/**
+ * Run fn over items with at most `limit` calls in flight; stops starting new items once aborted
+ */
+async function mapWithConcurrency(items, limit, fn, signal) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length && !signal?.aborted) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+function dedupeBy(items, keyOf) {
+  const seen = new Set();
+  return items.filter(item => {
+    const key = keyOf(item);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Merge partial chunk reviews into one, dropping duplicate findings
+ * @param {object[]} partials - Validated reviews
+ * @returns {object} { comments, patches, testCases, summaries: string[] }
+ */
+export function mergeReviews(partials) {
+  const normalize = text => String(text || "").toLowerCase().replace(/\s+/g, " ").trim();
+
+  return {
+    comments: dedupeBy(partials.flatMap(p => p.comments || []), c => `${c.file}:${c.line ?? ""}:${normalize(c.comment)}`),
+    patches: dedupeBy(partials.flatMap(p => p.patches || []), p => `${p.file}:${normalize(p.diff)}`),
+    testCases: dedupeBy(partials.flatMap(p => p.testCases || []), normalize).slice(0, 20),
+    summaries: partials.map(p => p.summary).filter(s => typeof s === "string" && s.trim().length > 0)
+  };
+}
+
+/**
+ * Map/reduce review for diffs over the chunk budget: review chunks concurrently,
+ * merge the findings, then one summary pass over the partial summaries.
+ * Total model calls (chunks, repairs and summary) never exceed REVIEW_MAX_MODEL_CALLS.
+ */
+async function reviewInChunks(input, options, budget) {
+  const { title = "", description = "", diff } = input;
+  const maxCalls = options.maxModelCalls || readIntEnv("REVIEW_MAX_MODEL_CALLS", 12, 2);
+  const concurrency = options.concurrency || readIntEnv("REVIEW_CHUNK_CONCURRENCY", 3);
+  const onProgress = options.onProgress || (() => {});
+
+  const chunks = chunkDiff(diff, budget);
+  // One call is reserved for the summary pass
+  const reviewed = chunks.slice(0, maxCalls - 1);
+  const skippedFiles = [...new Set(chunks.slice(maxCalls - 1).flatMap(c => c.files))];
+
+  console.log(`🧩 Large diff (${diff.length} chars): ${chunks.length} chunks, reviewing ${reviewed.length} (concurrency ${concurrency})`);
+  if (skippedFiles.length > 0) {
+    console.warn(`⚠️  Model call limit (${maxCalls}) reached, ${skippedFiles.length} files not (fully) reviewed`);
+  }
+
+  // Calls left under the ceiling go to repair prompts
+  const callBudget = { remaining: Math.max(0, maxCalls - 1 - reviewed.length) };
+  const chunkOptions = { ...options, callBudget };
+
+  let done = 0;
+  let failed = 0;
+  onProgress({ phase: "chunks", done, total: reviewed.length });
+
+  const partials = await mapWithConcurrency(reviewed, concurrency, async (chunk, index) => {
+    try {
+      return await reviewOnce({ title, description, diff: chunk.text, filesChanged: chunk.files, diagnostics: input.diagnostics }, chunkOptions);
+    } catch (err) {
+      failed++;
+      console.warn(`⚠️  Chunk ${index + 1}/${reviewed.length} failed: ${err.message}`);
+      return null;
+    } finally {
+      done++;
+      onProgress({ phase: "chunks", done, total: reviewed.length });
+    }
+  }, options.signal);
+
+  const succeeded = partials.filter(Boolean);
+  if (succeeded.length === 0) {
+    throw new Error(`All ${reviewed.length} review chunks failed`);
+  }
+
+  const merged = mergeReviews(succeeded);
+  const model = succeeded[0].model;
+
+  onProgress({ phase: "summary", done, total: reviewed.length });
+  let summary;
+  try {
+    const messages = reviewSummaryMessages(title, description, merged.summaries, chunks.flatMap(c => c.files), {
+      focus: options.focus,
+      language: options.language,
+      instructions: options.instructions
+    });
+    const result = await callModel(options.model || pickModel("review"), messages, 1000, {
+      useCase: "review",
+      provider: options.provider
+    });
+    summary = result?.choices?.[0]?.message?.content?.trim();
+  } catch (err) {
+    console.warn("⚠️  Summary pass failed, joining chunk summaries:", err.message);
+  }
+  if (!summary) summary = merged.summaries.join("\n\n");
+
+  if (failed > 0 || skippedFiles.length > 0) {
+    const notes = [];
+    if (failed > 0) notes.push(`${failed} of ${reviewed.length} review chunks failed.`);
+    if (skippedFiles.length > 0) {
+      notes.push(`Not fully reviewed (model call limit of ${maxCalls} reached): ${skippedFiles.slice(0, 50).join(", ")}${skippedFiles.length > 50 ? ", ..." : ""}`);
+    }
+    summary += `\n\n_${notes.join(" ")}_`;
+  }
+
+  return {
+    summary: summary.substring(0, 5000),
+    comments: merged.comments,
+    patches: merged.patches,
+    testCases: merged.testCases,
+    status: "validated",
+    model,
+    chunks: { total: chunks.length, reviewed: reviewed.length, failed, skippedFiles: skippedFiles.length }
+  };
+}
+
+/**
+ * Generate a structured review for a diff. Diffs over the provider's chunk budget
+ * are reviewed in chunks and merged.
+ * @param {object} input - { title, description, diff, filesChanged, diagnostics }
+ *   (diagnostics: static analysis findings, given to the model and merged into its comments)
+ * @param {object} options - { model, provider, focus, language, instructions,
+ *   signal, onProgress, maxModelCalls, concurrency }
+ * @returns {Promise<object>} Validated review plus { model, rawResponse?, chunks? }
+ * @throws {Error} If the model call fails (or every chunk failed)
+ */
+export async function generateReview(input, options = {}) {
+  if (!input?.diff || typeof input.diff !== "string") {
+    throw new Error("diff is required and must be a string");
+  }
+
+  const budget = getChunkBudget(options.provider);
+  const review = input.diff.length <= budget
+    ? await reviewOnce(input, options)
+    : await reviewInChunks(input, options, budget);
+
+  if (!input.diagnostics?.length) return review;
+  return { ...review, comments: mergeDiagnostics(review.comments, input.diagnostics) };
+}
@@ -0,0 +1,366 @@
+/**
+ * Review Publisher
+ * Turns a generated review into SCM comments: line-anchored inline comments
+ * for findings inside the diff, and one summary comment for everything else.
+ */
+import crypto from "crypto";
+import { getCommentableLines, normalizePath } from "./diffParser.js";
+import { findingLabel, findingLocation, sortFindings } from "./findings.js";
+
+const DEFAULT_INLINE_LIMIT = 10;
+const MAX_SUMMARY_PATCH_CHARS = 3000;
+
+// Link reference definitions render as nothing on Bitbucket, GitHub and GitLab
+export const SUMMARY_MARKER = "[//]: # (pr-reviewer:summary)";
+const INLINE_MARKER_PREFIX = "[//]: # (pr-reviewer:inline:";
+const INLINE_MARKER = /\[\/\/\]: # \(pr-reviewer:inline:([0-9a-f]+)\)/;
+const HISTORY_HEADING = "**Review history**";
+const HISTORY_ENTRY = /^- `([0-9a-f]{7,40}|unknown)` — (.+)$/;
+const HISTORY_LIMIT = 10;
+
+/**
+ * Resolve the per-PR inline comment cap: repo setting, then INLINE_COMMENT_LIMIT, then default.
+ * A cap of 0 disables inline comments.
+ * @param {object} settings - Repository settings from the registry
+ * @returns {number} Max inline comments
+ */
+export function getInlineCommentLimit(settings = {}) {
+  const fromSettings = parseInt(settings.maxInlineComments, 10);
+  if (!Number.isNaN(fromSettings) && fromSettings >= 0) return fromSettings;
+
+  const fromEnv = parseInt(process.env.INLINE_COMMENT_LIMIT, 10);
+  if (!Number.isNaN(fromEnv) && fromEnv >= 0) return fromEnv;
+
+  return DEFAULT_INLINE_LIMIT;
+}
+
+/**
+ * Resolve where reviews are published: "comments" (summary + inline), "insights"
+ * (Code Insights report) or both. Repo setting wins over REVIEW_OUTPUTS.
+ * @param {object} settings - Repository settings from the registry
+ * @returns {string[]} Output names
+ */
+export function getReviewOutputs(settings = {}) {
+  const raw = settings.outputs || process.env.REVIEW_OUTPUTS || "comments";
+  const outputs = (Array.isArray(raw) ? raw : String(raw).split(","))
+    .map(o => String(o).trim().toLowerCase())
+    .filter(o => o === "comments" || o === "insights");
+  return outputs.length > 0 ? outputs : ["comments"];
+}
+
+/**
+ * Resolve the summary comment mode: "sticky" edits the bot's previous summary,
+ * "new" posts a fresh comment every run. Repo setting wins over SUMMARY_COMMENT_MODE.
+ * @param {object} settings - Repository settings from the registry
+ * @returns {string} "sticky" or "new"
+ */
+export function getSummaryMode(settings = {}) {
+  const mode = settings.summaryMode || process.env.SUMMARY_COMMENT_MODE || "sticky";
+  return mode === "new" ? "new" : "sticky";
+}
+
+/**
+ * Read the review history entries out of a previous summary comment
+ * @param {string} body - Previous comment body
+ * @returns {string[]} History lines, newest first
+ */
+export function parseHistory(body) {
+  if (!body || !body.includes(HISTORY_HEADING)) return [];
+  return body
+    .slice(body.indexOf(HISTORY_HEADING) + HISTORY_HEADING.length)
+    .split("\n")
+    .map(l => l.trim())
+    .filter(l => HISTORY_ENTRY.test(l));
+}
+
+/**
+ * Add the marker and an updated history section to a summary body
+ * @param {string} body - Summary markdown
+ * @param {string[]} history - Previous history lines, newest first
+ * @param {string} commit - Commit this revision covers
+ * @returns {string} Sticky comment body
+ */
+export function buildStickyBody(body, history, commit) {
+  const stamp = new Date().toISOString().replace("T", " ").substring(0, 16) + " UTC";
+  const entry = `- \`${commit ? commit.substring(0, 12) : "unknown"}\` — ${stamp}`;
+  const entries = [entry, ...history].slice(0, HISTORY_LIMIT);
+
+  return `${SUMMARY_MARKER}\n\n${body}\n\n---\n${HISTORY_HEADING}\n\n${entries.join("\n")}`;
+}
+
+/**
+ * Post the summary comment, or in sticky mode edit the bot's previous one in place
+ * @param {object} scm - SCM provider
+ * @param {object} ctx - SCM context
+ * @param {string} body - Summary markdown
+ * @returns {Promise<object>} { mode, updated }
+ */
+export async function publishSummary(scm, ctx, body) {
+  if (getSummaryMode(ctx.settings) === "new" || !scm.findCommentByMarker || !scm.updateComment) {
+    await scm.postSummaryComment(ctx, body);
+    return { mode: "new", updated: false };
+  }
+
+  let previous = null;
+  try {
+    previous = await scm.findCommentByMarker(ctx, SUMMARY_MARKER);
+  } catch (err) {
+    console.warn(`⚠️  Could not look up previous summary comment: ${err.message}`);
+  }
+
+  const sticky = buildStickyBody(body, parseHistory(previous?.body), ctx.commit);
+
+  if (previous) {
+    try {
+      await scm.updateComment(ctx, previous.id, sticky);
+      console.log(`📝 Updated summary comment ${previous.id}`);
+      return { mode: "sticky", updated: true };
+    } catch (err) {
+      console.warn(`⚠️  Failed to update summary comment ${previous.id}, posting a new one: ${err.message}`);
+    }
+  }
+
+  await scm.postSummaryComment(ctx, sticky);
+  return { mode: "sticky", updated: false };
+}
+
+/**
+ * Split review comments into ones that can be anchored inline and ones that can't
+ * @param {object[]} comments - [{ file, line, comment }]
+ * @param {string} diff - Unified diff of the PR
+ * @param {number} limit - Max inline comments
+ * @returns {object} { inline: [{ path, line, comment, ... }], general: [{ file, line, comment, ... }] }
+ */
+export function partitionComments(comments, diff, limit) {
+  const lines = getCommentableLines(diff);
+  const inline = [];
+  const general = [];
+
+  for (const c of Array.isArray(comments) ? comments : []) {
+    if (!c || typeof c.comment !== "string" || c.comment.trim().length === 0) continue;
+
+    const filePath = normalizePath(c.file);
+    const line = Number(c.line);
+    const anchorable = filePath
+      && Number.isInteger(line) && line > 0
+      && lines.get(filePath)?.has(line);
+
+    if (anchorable && inline.length < limit) {
+      inline.push({ ...c, path: filePath, line, comment: c.comment.trim() });
+    } else {
+      general.push(c);
+    }
+  }
+
+  return { inline, general };
+}
+
+/**
+ * Marker for an inline comment, keyed on file, line and rule, so a re-review can tell
+ * which findings it already posted
+ * @param {string} filePath - File path
+ * @param {number|string} line - Line (or "start-end" range) the comment is anchored to
+ * @param {string} rule - Rule, category, or "suggestion"
+ * @returns {string} Marker line
+ */
+export function inlineMarker(filePath, line, rule) {
+  const key = crypto.createHash("sha256").update(`${filePath}:${line}:${rule || ""}`).digest("hex").substring(0, 16);
+  return `${INLINE_MARKER_PREFIX}${key})`;
+}
+
+/**
+ * Markers of the inline comments the bot already posted on the PR. A failed lookup
+ * returns an empty set: posting a duplicate beats dropping the review.
+ */
+async function findPostedInlineMarkers(scm, ctx) {
+  if (!scm.findInlineCommentsByMarker) return new Set();
+  try {
+    const comments = await scm.findInlineCommentsByMarker(ctx, INLINE_MARKER_PREFIX);
+    return new Set(comments.map(c => c.body?.match(INLINE_MARKER)?.[0]).filter(Boolean));
+  } catch (err) {
+    console.warn(`⚠️  Could not look up earlier inline comments: ${err.message}`);
+    return new Set();
+  }
+}
+
+/**
+ * Render a suggestion block. GitLab counts the lines to replace in the fence
+ * ("suggestion:-2+0" = this line and the two above); Bitbucket and GitHub use the comment's line range.
+ * @param {string} provider - SCM provider name
+ * @param {object} suggestion - { startLine, endLine, replacement: string[] }
+ * @returns {string} Markdown
+ */
+export function formatSuggestion(provider, suggestion) {
+  const fence = provider === "gitlab"
+    ? `suggestion:-${suggestion.endLine - suggestion.startLine}+0`
+    : "suggestion";
+  return `\`\`\`${fence}\n${suggestion.replacement.join("\n")}\n\`\`\``;
+}
+
+/**
+ * Post a comment that carries a marker, editing the bot's previous one with the same marker
+ * instead of adding another each push (follows the summary comment mode)
+ * @param {object} scm - SCM provider
+ * @param {object} ctx - SCM context
+ * @param {string} marker - Marker the body starts with
+ * @param {string} body - Comment markdown, including the marker
+ * @returns {Promise<object>} { mode, updated }
+ */
+export async function publishStickyComment(scm, ctx, marker, body) {
+  if (getSummaryMode(ctx.settings) === "new" || !scm.findCommentByMarker || !scm.updateComment) {
+    await scm.postSummaryComment(ctx, body);
+    return { mode: "new", updated: false };
+  }
+
+  try {
+    const previous = await scm.findCommentByMarker(ctx, marker);
+    if (previous) {
+      await scm.updateComment(ctx, previous.id, body);
+      console.log(`📝 Updated comment ${previous.id}`);
+      return { mode: "sticky", updated: true };
+    }
+  } catch (err) {
+    console.warn(`⚠️  Could not update the previous comment, posting a new one: ${err.message}`);
+  }
+
+  await scm.postSummaryComment(ctx, body);
+  return { mode: "sticky", updated: false };
+}
+
+/**
+ * Render the summary comment markdown
+ * @param {object} review - { summary, patches, droppedPatches: [{ file, error }], skippedFiles }
+ * @param {object[]} generalComments - Comments not posted inline
+ * @param {number} inlineCount - Number of inline comments posted
+ * @returns {string} Markdown
+ */
+export function formatSummary(review, generalComments = [], inlineCount = 0) {
+  const parts = [];
+  if (review.summary) parts.push(`**Summary**:\n\n${review.summary}`);
+
+  if (inlineCount > 0) {
+    parts.push(`_${inlineCount} inline comment${inlineCount === 1 ? "" : "s"} posted on the changed lines._`);
+  }
+
+  if (generalComments.length > 0) {
+    parts.push('\n**Comments:**');
+    sortFindings(generalComments, "severity").slice(0, 200).forEach(c => {
+      const label = findingLabel(c);
+      const comment = c.comment || "";
+      parts.push(`- ${label ? `${label} ` : ""}**${findingLocation(c)}**: ${comment}`);
+    });
+  }
+
+  // Patches already posted as inline suggestions are not repeated here
+  const patches = Array.isArray(review.patches) ? review.patches.filter(p => !p.posted) : [];
+  if (patches.length > 0) {
+    parts.push('\n**Suggested Patches:**');
+    patches.slice(0, 20).forEach(p => {
+      // A cut-off diff can't be applied, so long patches are left out rather than truncated
+      parts.push(p.diff.length <= MAX_SUMMARY_PATCH_CHARS
+        ? `- **${p.file}**\n\n\`\`\`diff\n${p.diff}\n\`\`\``
+        : `- **${p.file}**: patch too long to show (${p.diff.length} characters)`);
+    });
+  }
+
+  const dropped = Array.isArray(review.droppedPatches) ? review.droppedPatches.length : 0;
+  if (dropped > 0) {
+    parts.push(`_${dropped} suggested patch${dropped === 1 ? " was" : "es were"} dropped because they don't apply to the changed files._`);
+  }
+
+  if (Array.isArray(review.skippedFiles) && review.skippedFiles.length > 0) {
+    const listed = review.skippedFiles.slice(0, 50)
+      .map(f => `- \`${f.path}\` (${f.reason}, +${f.additions}/-${f.deletions})`);
+    if (review.skippedFiles.length > 50) listed.push(`- ...and ${review.skippedFiles.length - 50} more`);
+    parts.push(`\n**Skipped files** (not sent for review):\n\n${listed.join("\n")}`);
+  }
+
+  return parts.join('\n\n');
+}
+
+/**
+ * Publish a structured review: inline comments first, then the summary
+ * with whatever could not be anchored (outside the diff, over the cap, or rejected by the SCM).
+ * Inline comments already posted for the same file, line and rule by an earlier review are not posted again.
+ * @param {object} scm - SCM provider
+ * @param {object} ctx - SCM context
+ * @param {object} review - { summary, comments, patches }
+ * @param {string} diff - Unified diff of the PR
+ * @param {object} options - { inlineLimit, signal }
+ * @returns {Promise<object>} { inlineCount, suggestionCount, duplicateCount, generalCount, summaryChars, summaryUpdated }
+ */
+export async function publishReview(scm, ctx, review, diff, options = {}) {
+  const limit = options.inlineLimit ?? getInlineCommentLimit(ctx.settings);
+  const { inline, general } = partitionComments(review.comments, diff, limit);
+  const existing = inline.length > 0 || review.patches?.length > 0 ? await findPostedInlineMarkers(scm, ctx) : new Set();
+
+  let posted = 0;
+  let suggestions = 0;
+  let duplicates = 0;
+  for (const c of inline) {
+    if (options.signal?.aborted) break;
+    const marker = inlineMarker(c.path, c.line, c.rule || c.category);
+    // Already on the PR from an earlier review: it still counts against the cap
+    if (existing.has(marker)) {
+      posted++;
+      duplicates++;
+      continue;
+    }
+    try {
+      const label = findingLabel(c);
+      await scm.postInlineComment(ctx, { path: c.path, line: c.line, body: `${marker}\n\n${label ? `**${label}**\n\n${c.comment}` : c.comment}` });
+      posted++;
+    } catch (err) {
+      console.warn(`⚠️  Inline comment on ${c.path}:${c.line} failed, moving it to the summary: ${err.message}`);
+      general.push({ ...c, file: c.path });
+    }
+  }
+
+  // Valid single-hunk patches whose lines are in the diff become one-click suggestions
+  const commentable = getCommentableLines(diff);
+  for (const patch of Array.isArray(review.patches) ? review.patches : []) {
+    if (options.signal?.aborted || posted >= limit) break;
+    const s = patch.suggestion;
+    const lines = commentable.get(normalizePath(patch.file));
+    if (!s || !lines?.has(s.startLine) || !lines.has(s.endLine)) continue;
+
+    const marker = inlineMarker(normalizePath(patch.file), `${s.startLine}-${s.endLine}`, "suggestion");
+    if (existing.has(marker)) {
+      patch.posted = true;
+      posted++;
+      duplicates++;
+      continue;
+    }
+    try {
+      await scm.postInlineComment(ctx, {
+        path: normalizePath(patch.file),
+        line: s.endLine,
+        startLine: s.startLine,
+        body: `${marker}\n\n**Suggested change**\n\n${formatSuggestion(ctx.provider, s)}`
+      });
+      patch.posted = true;
+      posted++;
+      suggestions++;
+    } catch (err) {
+      console.warn(`⚠️  Suggestion on ${patch.file}:${s.startLine}-${s.endLine} failed, keeping it in the summary: ${err.message}`);
+    }
+  }
+
+  const summary = formatSummary(review, general, posted)
+    || JSON.stringify(review).substring(0, 4000);
+
+  let summaryResult = null;
+  if (!options.signal?.aborted) {
+    summaryResult = await publishSummary(scm, ctx, summary);
+  }
+
+  console.log(`💬 Published review: ${posted} inline (${suggestions} suggestions, ${duplicates} already posted), ${general.length} in summary`);
+  return {
+    inlineCount: posted,
+    suggestionCount: suggestions,
+    duplicateCount: duplicates,
+    generalCount: general.length,
+    summaryChars: summary.length,
+    summaryUpdated: summaryResult?.updated || false
+  };
+}
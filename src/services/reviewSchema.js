@@ -0,0 +1,88 @@
+/**
+ * Review Output Schema
+ * The JSON schema review responses must match. It is sent to providers that support
+ * structured output (see modelRouter) and used to validate every response.
+ */
+import Ajv from "ajv";
+import { SEVERITIES, CATEGORIES } from "./findings.js";
+
+export const REVIEW_SCHEMA = {
+  type: "object",
+  properties: {
+    summary: { type: "string" },
+    comments: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          file: { type: "string" },
+          line: { type: "integer", minimum: 0 },
+          endLine: { type: "integer", minimum: 0 },
+          severity: { type: "string", enum: SEVERITIES },
+          category: { type: "string", enum: CATEGORIES },
+          confidence: { type: "number", minimum: 0, maximum: 1 },
+          comment: { type: "string" },
+          rule: { type: "string" }
+        },
+        required: ["file", "line", "severity", "category", "confidence", "comment"]
+      }
+    },
+    patches: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          file: { type: "string" },
+          diff: { type: "string" }
+        },
+        required: ["file", "diff"]
+      }
+    },
+    testCases: {
+      type: "array",
+      items: { type: "string" }
+    }
+  },
+  required: ["summary", "comments", "patches", "testCases"]
+};
+
+// Keywords Gemini's responseSchema (an OpenAPI subset) rejects
+const GEMINI_UNSUPPORTED = ["$schema", "additionalProperties", "minimum", "maximum"];
+
+const ajv = new Ajv({ allErrors: true });
+const validateFn = ajv.compile(REVIEW_SCHEMA);
+
+/**
+ * Validate a parsed response against REVIEW_SCHEMA
+ * @param {*} data - Parsed JSON
+ * @returns {string[]} Readable errors (empty when valid), e.g. "/comments/0/severity must be equal to one of the allowed values"
+ */
+export function validateReviewSchema(data) {
+  if (validateFn(data)) return [];
+  return validateFn.errors.slice(0, 20).map(e => {
+    const where = e.instancePath || "(root)";
+    const allowed = e.params?.allowedValues ? ` (${e.params.allowedValues.join(", ")})` : "";
+    return `${where} ${e.message}${allowed}`;
+  });
+}
+
+/**
+ * Strip the keywords Gemini's responseSchema does not accept
+ * @param {object} schema - JSON schema
+ * @returns {object} Gemini schema
+ */
+export function toGeminiSchema(schema) {
+  if (!schema || typeof schema !== "object") return schema;
+  const out = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (GEMINI_UNSUPPORTED.includes(key)) continue;
+    if (key === "properties") {
+      out.properties = Object.fromEntries(Object.entries(value).map(([k, v]) => [k, toGeminiSchema(v)]));
+    } else if (key === "items") {
+      out.items = toGeminiSchema(value);
+    } else {
+      out[key] = value;
+    }
+  }
+  return out;
+}
@@ -0,0 +1,266 @@
+/**
+ * Bitbucket Cloud SCM Provider
+ * Calls the Bitbucket 2.0 REST API (BITBUCKET_API_URL, so it can point at a fake server in tests).
+ */
+import { scmRequest, getAuthenticatedUser } from "./http.js";
+
+const ANNOTATION_BATCH_SIZE = 100;
+
+// Pull request events that should trigger a review; other pullrequest:* events
+// (approvals, merges, comment edits...) are ignored
+const REVIEW_EVENTS = ["pullrequest:created", "pullrequest:updated"];
+
+const STATE_MAP = {
+  pending: "INPROGRESS",
+  success: "SUCCESSFUL",
+  failure: "FAILED"
+};
+
+function apiBase() {
+  return (process.env.BITBUCKET_API_URL || "https://api.bitbucket.org/2.0").replace(/\/+$/, "");
+}
+
+function repoUrl(ctx) {
+  return `${apiBase()}/repositories/${encodeURIComponent(ctx.workspace)}/${encodeURIComponent(ctx.repo)}`;
+}
+
+/**
+ * Normalize a Bitbucket webhook delivery
+ * @param {object} headers - Request headers (lower-cased)
+ * @param {object} body - Parsed JSON body
+ * @returns {object} { kind: "pull_request" | "comment" | "ignored" | "invalid", ... }
+ */
+function parseEvent(headers, body) {
+  const eventKey = (headers["x-event-key"] || "").toString();
+  // Deliveries without an event key (manual test payloads) are treated as review requests
+  if (eventKey && !REVIEW_EVENTS.includes(eventKey) && eventKey !== "pullrequest:comment_created") {
+    return { kind: "ignored", reason: "unsupported event", eventKey };
+  }
+
+  const pr = body?.pullrequest;
+  if (!pr || typeof pr !== "object") return { kind: "invalid", error: "Invalid payload: missing pullrequest object" };
+
+  let prId = pr.id;
+  if (!prId) return { kind: "invalid", error: "Invalid payload: missing id" };
+  if (typeof prId === "string") prId = parseInt(prId, 10);
+  if (typeof prId !== "number" || Number.isNaN(prId)) return { kind: "invalid", error: "Invalid PR ID" };
+
+  if (eventKey === "pullrequest:comment_created") {
+    const comment = body?.comment;
+    if (!comment || typeof comment !== "object") return { kind: "invalid", error: "Invalid payload: missing comment object" };
+
+    const author = body.actor || comment.user || {};
+    return {
+      kind: "comment",
+      eventKey,
+      repository: body?.repository?.full_name || null,
+      prId,
+      commit: pr.source?.commit?.hash || null,
+      deliveryId: (headers["x-request-uuid"] || "").toString() || null,
+      baseBranch: pr.destination?.branch?.name || null,
+      title: pr.title || "",
+      description: pr.description || "",
+      comment: {
+        id: comment.id,
+        body: comment.content?.raw || "",
+        parentId: comment.parent?.id || null,
+        inline: comment.inline?.path
+          ? { path: comment.inline.path, line: comment.inline.to || null, oldLine: comment.inline.from || null }
+          : null,
+        author: {
+          id: author.account_id || author.uuid || null,
+          ids: [author.account_id, author.uuid, author.nickname, author.username].filter(Boolean),
+          name: author.display_name || author.nickname || "unknown"
+        }
+      }
+    };
+  }
+
+  return {
+    kind: "pull_request",
+    eventKey: eventKey || null,
+    action: eventKey ? eventKey.slice("pullrequest:".length) : "unknown",
+    repository: body?.repository?.full_name || null,
+    prId,
+    commit: pr.source?.commit?.hash || null,
+    deliveryId: (headers["x-request-uuid"] || "").toString() || null,
+    baseBranch: pr.destination?.branch?.name || null,
+    title: pr.title || "",
+    description: pr.description || ""
+  };
+}
+
+async function fetchDiff(ctx) {
+  // The diff endpoint redirects to the raw diff; fetch follows it
+  return scmRequest(`${repoUrl(ctx)}/pullrequests/${ctx.prId}/diff`, {
+    auth: ctx.auth,
+    accept: "text/plain",
+    raw: true
+  });
+}
+
+async function fetchFileContent(ctx, filePath, ref = ctx.commit) {
+  if (!ref) throw new Error("fetchFileContent requires a commit or branch ref");
+  const encodedPath = filePath.split("/").map(encodeURIComponent).join("/");
+  return scmRequest(`${repoUrl(ctx)}/src/${encodeURIComponent(ref)}/${encodedPath}`, {
+    auth: ctx.auth,
+    accept: "*/*",
+    raw: true
+  });
+}
+
+async function postSummaryComment(ctx, body) {
+  return scmRequest(`${repoUrl(ctx)}/pullrequests/${ctx.prId}/comments`, {
+    method: "POST",
+    auth: ctx.auth,
+    body: { content: { raw: body } }
+  });
+}
+
+/**
+ * Non-deleted PR comments by the bot's account whose raw text contains the marker, oldest first
+ */
+async function findBotComments(ctx, marker) {
+  const bot = await getAuthenticatedUser(`${apiBase()}/user`, ctx.auth);
+  // Only the bot's own comments: anyone can paste the marker
+  const isBot = (user) => Boolean(user) && ((bot.account_id && user.account_id === bot.account_id) || (bot.uuid && user.uuid === bot.uuid));
+  let url = `${repoUrl(ctx)}/pullrequests/${ctx.prId}/comments?pagelen=100`;
+  const found = [];
+
+  for (let page = 0; url && page < 10; page++) {
+    const data = await scmRequest(url, { auth: ctx.auth });
+    for (const c of data?.values || []) {
+      if (!c.deleted && isBot(c.user) && c.content?.raw?.includes(marker)) found.push(c);
+    }
+    url = data?.next || null;
+  }
+
+  return found;
+}
+
+/**
+ * Find the newest top-level PR comment by the bot's account whose raw text contains the marker
+ */
+async function findCommentByMarker(ctx, marker) {
+  const comment = (await findBotComments(ctx, marker)).filter(c => !c.inline).pop();
+  return comment ? { id: comment.id, body: comment.content.raw } : null;
+}
+
+/**
+ * The bot's inline PR comments whose raw text contains the marker
+ */
+async function findInlineCommentsByMarker(ctx, marker) {
+  return (await findBotComments(ctx, marker))
+    .filter(c => c.inline)
+    .map(c => ({ id: c.id, body: c.content.raw }));
+}
+
+async function updateComment(ctx, commentId, body) {
+  return scmRequest(`${repoUrl(ctx)}/pullrequests/${ctx.prId}/comments/${commentId}`, {
+    method: "PUT",
+    auth: ctx.auth,
+    body: { content: { raw: body } }
+  });
+}
+
+/**
+ * Reply in the thread of an existing PR comment
+ */
+async function replyToComment(ctx, commentId, body) {
+  return scmRequest(`${repoUrl(ctx)}/pullrequests/${ctx.prId}/comments`, {
+    method: "POST",
+    auth: ctx.auth,
+    body: {
+      content: { raw: body },
+      parent: { id: commentId }
+    }
+  });
+}
+
+async function postInlineComment(ctx, { path: filePath, line, startLine, body }) {
+  const inline = { path: filePath, to: line };
+  // Multi-line comments (and suggestions) span start_to..to
+  if (startLine && startLine < line) inline.start_to = startLine;
+  return scmRequest(`${repoUrl(ctx)}/pullrequests/${ctx.prId}/comments`, {
+    method: "POST",
+    auth: ctx.auth,
+    body: {
+      content: { raw: body },
+      inline
+    }
+  });
+}
+
+async function setStatus(ctx, { state, key, name, description, url }) {
+  if (!ctx.commit) throw new Error("setStatus requires a commit");
+  return scmRequest(`${repoUrl(ctx)}/commit/${encodeURIComponent(ctx.commit)}/statuses/build`, {
+    method: "POST",
+    auth: ctx.auth,
+    body: {
+      state: STATE_MAP[state] || state,
+      key,
+      name: name || key,
+      description: (description || "").substring(0, 255),
+      url: url || process.env.RENDER_EXTERNAL_URL || "https://bitbucket.org"
+    }
+  });
+}
+
+/**
+ * Publish a Code Insights report with annotations on the PR's head commit.
+ * The previous report is deleted first so stale annotations don't linger.
+ * @param {object} ctx - SCM context (needs commit)
+ * @param {object} report - Output of buildInsightsReport()
+ */
+async function publishReport(ctx, report) {
+  if (!ctx.commit) throw new Error("publishReport requires a commit");
+
+  const reportId = process.env.INSIGHTS_REPORT_ID || "pr-reviewer";
+  const reportUrl = `${repoUrl(ctx)}/commit/${encodeURIComponent(ctx.commit)}/reports/${encodeURIComponent(reportId)}`;
+
+  try {
+    await scmRequest(reportUrl, { method: "DELETE", auth: ctx.auth });
+  } catch (err) {
+    if (err.response?.status !== 404) throw err;
+  }
+
+  await scmRequest(reportUrl, {
+    method: "PUT",
+    auth: ctx.auth,
+    body: {
+      title: report.title,
+      details: report.details,
+      report_type: "BUG",
+      reporter: "PR Reviewer",
+      result: report.result,
+      data: report.data
+    }
+  });
+
+  for (let i = 0; i < report.annotations.length; i += ANNOTATION_BATCH_SIZE) {
+    await scmRequest(`${reportUrl}/annotations`, {
+      method: "POST",
+      auth: ctx.auth,
+      body: report.annotations.slice(i, i + ANNOTATION_BATCH_SIZE)
+    });
+  }
+
+  return { reportId, annotations: report.annotations.length };
+}
+
+export default {
+  name: "bitbucket",
+  signatureHeader: "x-hub-signature",
+  authEnv: "BITBUCKET_AUTH",
+  parseEvent,
+  fetchDiff,
+  fetchFileContent,
+  postSummaryComment,
+  findCommentByMarker,
+  findInlineCommentsByMarker,
+  updateComment,
+  replyToComment,
+  postInlineComment,
+  setStatus,
+  publishReport
+};
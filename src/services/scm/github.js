@@ -0,0 +1,168 @@
+/**
+ * GitHub SCM Provider
+ * Handles pull_request webhooks and talks to the GitHub REST API
+ */
+import { scmRequest, getAuthenticatedUser } from "./http.js";
+
+const REVIEWABLE_ACTIONS = ["opened", "synchronize", "reopened"];
+
+function apiBase() {
+  return (process.env.GITHUB_API_URL || "https://api.github.com").replace(/\/+$/, "");
+}
+
+function repoUrl(ctx) {
+  return `${apiBase()}/repos/${encodeURIComponent(ctx.workspace)}/${encodeURIComponent(ctx.repo)}`;
+}
+
+/**
+ * Normalize a GitHub webhook delivery
+ * @param {object} headers - Request headers (lower-cased)
+ * @param {object} body - Parsed JSON body
+ * @returns {object} { kind: "pull_request" | "ignored" | "invalid", ... }
+ */
+function parseEvent(headers, body) {
+  const eventKey = (headers["x-github-event"] || "").toString();
+  if (eventKey === "ping") {
+    return { kind: "ignored", reason: "ping", eventKey };
+  }
+  if (eventKey !== "pull_request") {
+    return { kind: "ignored", reason: "unsupported event", eventKey };
+  }
+
+  const action = body?.action;
+  if (!REVIEWABLE_ACTIONS.includes(action)) {
+    return { kind: "ignored", reason: `unsupported action: ${action}`, eventKey };
+  }
+
+  const pr = body?.pull_request;
+  if (!pr || typeof pr !== "object") return { kind: "invalid", error: "Invalid payload: missing pull_request object" };
+
+  const prId = body.number ?? pr.number;
+  if (typeof prId !== "number" || Number.isNaN(prId)) return { kind: "invalid", error: "Invalid PR number" };
+
+  return {
+    kind: "pull_request",
+    eventKey,
+    // Map GitHub's "synchronize" onto the same action name Bitbucket uses for new commits
+    action: action === "synchronize" ? "updated" : action,
+    repository: body?.repository?.full_name || null,
+    prId,
+    commit: pr.head?.sha || null,
+    deliveryId: (headers["x-github-delivery"] || "").toString() || null,
+    baseBranch: pr.base?.ref || null,
+    title: pr.title || "",
+    description: pr.body || ""
+  };
+}
+
+async function fetchDiff(ctx) {
+  return scmRequest(`${repoUrl(ctx)}/pulls/${ctx.prId}`, {
+    auth: ctx.auth,
+    accept: "application/vnd.github.v3.diff",
+    raw: true
+  });
+}
+
+async function fetchFileContent(ctx, filePath, ref = ctx.commit) {
+  const encodedPath = filePath.split("/").map(encodeURIComponent).join("/");
+  const query = ref ? `?ref=${encodeURIComponent(ref)}` : "";
+  return scmRequest(`${repoUrl(ctx)}/contents/${encodedPath}${query}`, {
+    auth: ctx.auth,
+    accept: "application/vnd.github.raw",
+    raw: true
+  });
+}
+
+async function postSummaryComment(ctx, body) {
+  return scmRequest(`${repoUrl(ctx)}/issues/${ctx.prId}/comments`, {
+    method: "POST",
+    auth: ctx.auth,
+    body: { body }
+  });
+}
+
+/**
+ * Find the newest issue comment on the PR by the bot's account whose body contains the marker
+ */
+async function findCommentByMarker(ctx, marker) {
+  const bot = await getAuthenticatedUser(`${apiBase()}/user`, ctx.auth);
+  let found = null;
+
+  for (let page = 1; page <= 10; page++) {
+    const comments = await scmRequest(`${repoUrl(ctx)}/issues/${ctx.prId}/comments?per_page=100&page=${page}`, { auth: ctx.auth });
+    if (!Array.isArray(comments)) break;
+    for (const c of comments) {
+      // Only the bot's own comments: anyone can paste the marker
+      if (c.user?.id === bot.id && c.body?.includes(marker)) found = { id: c.id, body: c.body };
+    }
+    if (comments.length < 100) break;
+  }
+
+  return found;
+}
+
+/**
+ * The bot's inline review comments on the PR whose body contains the marker
+ */
+async function findInlineCommentsByMarker(ctx, marker) {
+  const bot = await getAuthenticatedUser(`${apiBase()}/user`, ctx.auth);
+  const found = [];
+
+  for (let page = 1; page <= 10; page++) {
+    const comments = await scmRequest(`${repoUrl(ctx)}/pulls/${ctx.prId}/comments?per_page=100&page=${page}`, { auth: ctx.auth });
+    if (!Array.isArray(comments)) break;
+    for (const c of comments) {
+      if (c.user?.id === bot.id && c.body?.includes(marker)) found.push({ id: c.id, body: c.body });
+    }
+    if (comments.length < 100) break;
+  }
+
+  return found;
+}
+
+async function updateComment(ctx, commentId, body) {
+  return scmRequest(`${repoUrl(ctx)}/issues/comments/${commentId}`, {
+    method: "PATCH",
+    auth: ctx.auth,
+    body: { body }
+  });
+}
+
+async function postInlineComment(ctx, { path: filePath, line, startLine, body }) {
+  if (!ctx.commit) throw new Error("postInlineComment requires a commit");
+  const range = startLine && startLine < line ? { start_line: startLine, start_side: "RIGHT" } : {};
+  return scmRequest(`${repoUrl(ctx)}/pulls/${ctx.prId}/comments`, {
+    method: "POST",
+    auth: ctx.auth,
+    body: { body, commit_id: ctx.commit, path: filePath, line, side: "RIGHT", ...range }
+  });
+}
+
+async function setStatus(ctx, { state, key, description, url }) {
+  if (!ctx.commit) throw new Error("setStatus requires a commit");
+  return scmRequest(`${repoUrl(ctx)}/statuses/${encodeURIComponent(ctx.commit)}`, {
+    method: "POST",
+    auth: ctx.auth,
+    body: {
+      state,
+      context: key,
+      description: (description || "").substring(0, 140),
+      target_url: url || undefined
+    }
+  });
+}
+
+export default {
+  name: "github",
+  signatureHeader: "x-hub-signature-256",
+  authEnv: "GITHUB_TOKEN",
+  parseEvent,
+  fetchDiff,
+  fetchFileContent,
+  postSummaryComment,
+  findCommentByMarker,
+  findInlineCommentsByMarker,
+  updateComment,
+  postInlineComment,
+  setStatus
+};
@@ -0,0 +1,211 @@
+/**
+ * GitLab SCM Provider
+ * Handles Merge Request Hook events and talks to the GitLab REST API (v4).
+ * GITLAB_URL points at self-hosted instances (default https://gitlab.com).
+ */
+import { scmRequest, getAuthenticatedUser } from "./http.js";
+
+const REVIEWABLE_ACTIONS = ["open", "reopen", "update"];
+
+const STATE_MAP = {
+  pending: "pending",
+  success: "success",
+  failure: "failed"
+};
+
+function apiBase() {
+  const base = (process.env.GITLAB_URL || "https://gitlab.com").replace(/\/+$/, "");
+  return `${base}/api/v4`;
+}
+
+function projectUrl(ctx) {
+  // Projects are addressed by their URL-encoded path, which may include subgroups
+  return `${apiBase()}/projects/${encodeURIComponent(ctx.fullName)}`;
+}
+
+function mrUrl(ctx) {
+  return `${projectUrl(ctx)}/merge_requests/${ctx.prId}`;
+}
+
+/**
+ * Normalize a GitLab webhook delivery
+ * @param {object} headers - Request headers (lower-cased)
+ * @param {object} body - Parsed JSON body
+ * @returns {object} { kind: "pull_request" | "ignored" | "invalid", ... }
+ */
+function parseEvent(headers, body) {
+  const eventKey = (headers["x-gitlab-event"] || "").toString();
+  if (eventKey !== "Merge Request Hook" || body?.object_kind !== "merge_request") {
+    return { kind: "ignored", reason: "unsupported event", eventKey };
+  }
+
+  const mr = body.object_attributes;
+  if (!mr || typeof mr !== "object") return { kind: "invalid", error: "Invalid payload: missing object_attributes" };
+
+  const action = mr.action;
+  if (!REVIEWABLE_ACTIONS.includes(action)) {
+    return { kind: "ignored", reason: `unsupported action: ${action}`, eventKey };
+  }
+  // "update" also fires for title/label edits; only new commits carry oldrev
+  if (action === "update" && !mr.oldrev) {
+    return { kind: "ignored", reason: "update without new commits", eventKey };
+  }
+
+  const prId = mr.iid;
+  if (typeof prId !== "number" || Number.isNaN(prId)) return { kind: "invalid", error: "Invalid merge request iid" };
+
+  return {
+    kind: "pull_request",
+    eventKey,
+    action: action === "update" ? "updated" : action === "open" ? "opened" : "reopened",
+    repository: body.project?.path_with_namespace || null,
+    prId,
+    commit: mr.last_commit?.id || null,
+    deliveryId: (headers["x-gitlab-event-uuid"] || "").toString() || null,
+    baseBranch: mr.target_branch || null,
+    title: mr.title || "",
+    description: mr.description || ""
+  };
+}
+
+/**
+ * Rebuild a unified diff from the MR changes API, which returns hunks without file headers
+ */
+async function fetchDiff(ctx) {
+  const data = await scmRequest(`${mrUrl(ctx)}/changes?access_raw_diffs=true`, { auth: ctx.auth });
+  const changes = Array.isArray(data?.changes) ? data.changes : [];
+
+  return changes.map(change => {
+    const oldPath = change.new_file ? "/dev/null" : `a/${change.old_path}`;
+    const newPath = change.deleted_file ? "/dev/null" : `b/${change.new_path}`;
+    const header = [`diff --git a/${change.old_path} b/${change.new_path}`];
+    if (change.new_file) header.push("new file mode 100644");
+    if (change.deleted_file) header.push("deleted file mode 100644");
+    if (change.renamed_file) header.push(`rename from ${change.old_path}`, `rename to ${change.new_path}`);
+    header.push(`--- ${oldPath}`, `+++ ${newPath}`);
+
+    const body = (change.diff || "").replace(/\n$/, "");
+    return body ? `${header.join("\n")}\n${body}` : header.join("\n");
+  }).join("\n");
+}
+
+async function fetchFileContent(ctx, filePath, ref = ctx.commit) {
+  if (!ref) throw new Error("fetchFileContent requires a commit or branch ref");
+  return scmRequest(`${projectUrl(ctx)}/repository/files/${encodeURIComponent(filePath)}/raw?ref=${encodeURIComponent(ref)}`, {
+    auth: ctx.auth,
+    accept: "*/*",
+    raw: true
+  });
+}
+
+async function postSummaryComment(ctx, body) {
+  return scmRequest(`${mrUrl(ctx)}/notes`, {
+    method: "POST",
+    auth: ctx.auth,
+    body: { body }
+  });
+}
+
+/**
+ * Find the newest MR note by the bot's account whose body contains the marker
+ */
+async function findCommentByMarker(ctx, marker) {
+  const bot = await getAuthenticatedUser(`${apiBase()}/user`, ctx.auth);
+  for (let page = 1; page <= 10; page++) {
+    const notes = await scmRequest(`${mrUrl(ctx)}/notes?per_page=100&sort=desc&order_by=created_at&page=${page}`, { auth: ctx.auth });
+    if (!Array.isArray(notes)) break;
+    // Only the bot's own notes: anyone can paste the marker
+    const note = notes.find(n => !n.system && n.author?.id === bot.id && n.body?.includes(marker));
+    if (note) return { id: note.id, body: note.body };
+    if (notes.length < 100) break;
+  }
+  return null;
+}
+
+/**
+ * The bot's diff notes on the MR whose body contains the marker
+ */
+async function findInlineCommentsByMarker(ctx, marker) {
+  const bot = await getAuthenticatedUser(`${apiBase()}/user`, ctx.auth);
+  const found = [];
+
+  for (let page = 1; page <= 10; page++) {
+    const notes = await scmRequest(`${mrUrl(ctx)}/notes?per_page=100&page=${page}`, { auth: ctx.auth });
+    if (!Array.isArray(notes)) break;
+    for (const n of notes) {
+      if (!n.system && n.position && n.author?.id === bot.id && n.body?.includes(marker)) found.push({ id: n.id, body: n.body });
+    }
+    if (notes.length < 100) break;
+  }
+
+  return found;
+}
+
+async function updateComment(ctx, commentId, body) {
+  return scmRequest(`${mrUrl(ctx)}/notes/${commentId}`, {
+    method: "PUT",
+    auth: ctx.auth,
+    body: { body }
+  });
+}
+
+/**
+ * diff_refs are needed to position discussions; fetched once per context
+ */
+async function getDiffRefs(ctx) {
+  if (!ctx.diffRefs) {
+    const mr = await scmRequest(mrUrl(ctx), { auth: ctx.auth });
+    if (!mr?.diff_refs?.head_sha) throw new Error("Merge request has no diff_refs");
+    ctx.diffRefs = mr.diff_refs;
+  }
+  return ctx.diffRefs;
+}
+
+async function postInlineComment(ctx, { path: filePath, oldPath, line, body }) {
+  const refs = await getDiffRefs(ctx);
+  return scmRequest(`${mrUrl(ctx)}/discussions`, {
+    method: "POST",
+    auth: ctx.auth,
+    body: {
+      body,
+      position: {
+        position_type: "text",
+        base_sha: refs.base_sha,
+        start_sha: refs.start_sha,
+        head_sha: refs.head_sha,
+        old_path: oldPath || filePath,
+        new_path: filePath,
+        new_line: line
+      }
+    }
+  });
+}
+
+async function setStatus(ctx, { state, key, name, description, url }) {
+  if (!ctx.commit) throw new Error("setStatus requires a commit");
+  return scmRequest(`${projectUrl(ctx)}/statuses/${encodeURIComponent(ctx.commit)}`, {
+    method: "POST",
+    auth: ctx.auth,
+    body: {
+      state: STATE_MAP[state] || state,
+      name: name || key,
+      description: (description || "").substring(0, 255),
+      target_url: url || undefined
+    }
+  });
+}
+
+export default {
+  name: "gitlab",
+  tokenHeader: "x-gitlab-token",
+  authEnv: "GITLAB_TOKEN",
+  parseEvent,
+  fetchDiff,
+  fetchFileContent,
+  postSummaryComment,
+  findCommentByMarker,
+  findInlineCommentsByMarker,
+  updateComment,
+  postInlineComment,
+  setStatus
+};
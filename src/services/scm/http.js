@@ -0,0 +1,91 @@
+/**
+ * Shared HTTP helper for SCM REST APIs
+ */
+import fetch from "node-fetch";
+
+const DEFAULT_TIMEOUT_MS = 30000;
+
+/**
+ * Build an Authorization header value. Values that already carry a scheme
+ * ("Bearer ...", "Basic ...") are sent as-is, bare tokens are sent as Bearer.
+ * @param {string} auth - Token or full header value
+ * @returns {string|undefined} Authorization header value
+ */
+export function authHeader(auth) {
+  if (!auth || typeof auth !== "string") return undefined;
+  const trimmed = auth.trim();
+  return /^(bearer|basic|token)\s/i.test(trimmed) ? trimmed : `Bearer ${trimmed}`;
+}
+
+/**
+ * Call an SCM REST endpoint
+ * @param {string} url - Absolute URL
+ * @param {object} options - { method, auth, body, accept, headers, raw, timeoutMs }
+ * @returns {Promise<object|string|null>} Parsed JSON, text when raw=true, or null for empty bodies
+ * @throws {Error} With err.response = { status, data } on non-2xx responses
+ */
+export async function scmRequest(url, options = {}) {
+  const {
+    method = "GET",
+    auth,
+    body,
+    accept = "application/json",
+    headers = {},
+    raw = false,
+    timeoutMs = DEFAULT_TIMEOUT_MS
+  } = options;
+
+  const requestHeaders = { Accept: accept, ...headers };
+  const authorization = authHeader(auth);
+  if (authorization) requestHeaders.Authorization = authorization;
+  if (body !== undefined) requestHeaders["Content-Type"] = "application/json";
+
+  const res = await fetch(url, {
+    method,
+    headers: requestHeaders,
+    body: body !== undefined ? JSON.stringify(body) : undefined,
+    signal: AbortSignal.timeout(timeoutMs)
+  });
+
+  const text = await res.text();
+
+  if (!res.ok) {
+    let data = text;
+    try { data = JSON.parse(text); } catch (e) { /* keep text */ }
+    const err = new Error(`${method} ${url} failed: HTTP ${res.status}`);
+    err.response = { status: res.status, data };
+    throw err;
+  }
+
+  if (raw) return text;
+  if (!text) return null;
+
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Invalid JSON from ${method} ${url}`);
+  }
+}
+
+const identities = new Map();
+
+/**
+ * Account the token belongs to, fetched once per endpoint and token. Used to tell the
+ * bot's own comments apart from look-alikes other users post.
+ * @param {string} url - "Current user" endpoint
+ * @param {string} auth - Token or full header value
+ * @returns {Promise<object>} The user object the SCM returns
+ */
+export async function getAuthenticatedUser(url, auth) {
+  const key = `${url}\n${auth || ""}`;
+  if (!identities.has(key)) {
+    const lookup = scmRequest(url, { auth }).then(user => {
+      if (!user || typeof user !== "object") throw new Error(`No user returned by ${url}`);
+      return user;
+    });
+    // A failed lookup is retried on the next call
+    lookup.catch(() => identities.delete(key));
+    identities.set(key, lookup);
+  }
+  return identities.get(key);
+}
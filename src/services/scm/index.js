@@ -0,0 +1,53 @@
+/**
+ * SCM Provider Registry
+ *
+ * Every provider exports the same interface:
+ * - name, authEnv, and signatureHeader (HMAC) or tokenHeader (shared token) for webhook verification
+ * - parseEvent(headers, body) -> { kind: "pull_request" | "comment" | "ignored" | "invalid", ... }
+ * - fetchDiff(ctx) -> unified diff string
+ * - fetchFileContent(ctx, path, ref) -> file text
+ * - postSummaryComment(ctx, body)
+ * - findCommentByMarker(ctx, marker) -> { id, body } | null - only comments by the account ctx.auth belongs to
+ * - findInlineCommentsByMarker(ctx, marker) -> [{ id, body }] - optional, the same for inline comments,
+ *   so a re-review doesn't post the same finding twice
+ * - updateComment(ctx, commentId, body)
+ * - postInlineComment(ctx, { path, oldPath, line, startLine, body }) - startLine (optional) makes it a multi-line comment
+ * - setStatus(ctx, { state: "pending" | "success" | "failure", key, name, description, url })
+ * - replyToComment(ctx, commentId, body) - optional, needed for ChatOps ("comment" events)
+ * - publishReport(ctx, report) - optional, only where the SCM has report panels (Bitbucket)
+ *
+ * ctx is { workspace, repo, fullName, auth, prId, commit }.
+ * Parsed pull_request and comment events carry baseBranch (the destination branch) when the SCM sends it.
+ * API base URLs are configurable (BITBUCKET_API_URL, GITHUB_API_URL) so providers
+ * can be pointed at a local fake server; GITLAB_URL also selects self-hosted GitLab.
+ */
+import bitbucket from "./bitbucket.js";
+import github from "./github.js";
+import gitlab from "./gitlab.js";
+
+const PROVIDERS = {
+  bitbucket,
+  github,
+  gitlab
+};
+
+/**
+ * Get a provider by name
+ * @param {string} name - Provider name
+ * @returns {object} Provider
+ * @throws {Error} If the provider is unknown
+ */
+export function getProvider(name = "bitbucket") {
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`Unknown SCM provider: ${name} (available: ${Object.keys(PROVIDERS).join(", ")})`);
+  }
+  return provider;
+}
+
+/**
+ * Names of all registered providers
+ */
+export function listProviders() {
+  return Object.keys(PROVIDERS);
+}
@@ -0,0 +1,239 @@
+/**
+ * Secret Scanner
+ * Finds credentials in text before it is sent to a model provider: API keys, private
+ * keys, JWTs, connection strings and high-entropy strings. Matches are replaced with
+ * stable placeholders (the same secret always gets the same placeholder, e.g.
+ * [REDACTED:github-token:1a2b3c4d]) and each added diff line holding one becomes a
+ * "secret committed" finding, so the review flags the leak itself.
+ *
+ * Redaction is on by default; SECRET_REDACTION=false turns it off.
+ */
+import crypto from "crypto";
+import { parseDiff } from "./diffParser.js";
+
+export const SECRET_RULE = "secret-committed";
+
+const PLACEHOLDER_PREFIX = "[REDACTED:";
+const MIN_ENTROPY = 4.0;
+const MIN_ENTROPY_LENGTH = 24;
+
+// Each pattern's `secret` group (or the whole match) is what gets redacted
+const RULES = [
+  { id: "aws-access-key", name: "AWS access key ID", confidence: 0.95, pattern: /\b(?<secret>(?:AKIA|ASIA)[0-9A-Z]{16})\b/g },
+  { id: "aws-secret-key", name: "AWS secret access key", confidence: 0.9, pattern: /aws_?secret_?access_?key["']?\s*[:=]\s*["']?(?<secret>[A-Za-z0-9/+=]{40})\b/gi },
+  { id: "github-token", name: "GitHub token", confidence: 0.95, pattern: /\b(?<secret>(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{60,}))\b/g },
+  { id: "gitlab-token", name: "GitLab token", confidence: 0.95, pattern: /\b(?<secret>glpat-[A-Za-z0-9_-]{20,})/g },
+  { id: "slack-token", name: "Slack token", confidence: 0.95, pattern: /\b(?<secret>xox[abposr]-[A-Za-z0-9-]{10,})/g },
+  { id: "google-api-key", name: "Google API key", confidence: 0.95, pattern: /\b(?<secret>AIza[0-9A-Za-z_-]{35})/g },
+  { id: "openai-key", name: "OpenAI API key", confidence: 0.9, pattern: /\b(?<secret>sk-(?:proj-)?[A-Za-z0-9_-]{20,})/g },
+  { id: "groq-key", name: "Groq API key", confidence: 0.95, pattern: /\b(?<secret>gsk_[A-Za-z0-9]{40,})/g },
+  { id: "stripe-key", name: "Stripe secret key", confidence: 0.95, pattern: /\b(?<secret>(?:sk|rk)_live_[A-Za-z0-9]{20,})/g },
+  { id: "jwt", name: "JSON Web Token", confidence: 0.8, pattern: /\b(?<secret>eyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,})/g },
+  { id: "connection-string", name: "connection string password", confidence: 0.85, pattern: /\b[a-z][a-z0-9+.-]*:\/\/[^\s:@/"'`]+:(?<secret>[^\s@/"'`]{3,})@[^\s"'`]+/gi },
+  {
+    id: "secret-assignment",
+    name: "hardcoded credential",
+    confidence: 0.7,
+    pattern: /(?:password|passwd|pwd|secret|token|api[_-]?key|access[_-]?key|client[_-]?secret|auth[_-]?key|credentials?)["']?\s*[:=]\s*["'`](?<secret>[^"'`\s]{8,})["'`]/gi
+  },
+  {
+    // .env style: DB_PASSWORD=hunter2hunter2 (optionally behind a diff marker)
+    id: "env-secret",
+    name: "credential in an env file",
+    confidence: 0.75,
+    pattern: /^[+\- ]?\s*(?:export\s+)?[A-Z0-9_]*(?:PASSWORD|PASSWD|SECRET|TOKEN|API_KEY|APIKEY|ACCESS_KEY|PRIVATE_KEY|CREDENTIALS?)[A-Z0-9_]*\s*=\s*(?<secret>[^\s"'`#]{8,})/gm
+  }
+];
+
+const PRIVATE_KEY_BLOCK = /-----BEGIN (?<kind>[A-Z0-9 ]*)PRIVATE KEY-----(?<body>[\s\S]*?)(?:-----END [A-Z0-9 ]*PRIVATE KEY-----|$)/g;
+const PRIVATE_KEY_BEGIN = /-----BEGIN [A-Z0-9 ]*PRIVATE KEY-----/;
+const PRIVATE_KEY_END = /-----END [A-Z0-9 ]*PRIVATE KEY-----/;
+// Base64 key lines, keeping a leading diff marker
+const KEY_BODY = /^([+ -]?)[A-Za-z0-9+/=]{16,}/gm;
+
+// Quoted or assigned tokens that may be random secrets
+const ENTROPY_CANDIDATE = /(?:["'`]|[:=]\s*)(?<secret>[A-Za-z0-9+/_=-]{24,})(?=["'`]|\s|$|[,;)])/g;
+
+// Public base64 that is random by design: Subresource Integrity hashes ("sha384-...")
+// and data: URI payloads
+const INTEGRITY_VALUE = /^sha(?:256|384|512)-/;
+const DATA_URI_PREFIX = /data:[\w.+-]+\/[\w.+-]+(?:;[\w.+-]+=[\w.+-]+)*;base64,$/i;
+
+// Values that only refer to a secret
+const PLACEHOLDER_VALUE = /^(?:process\.env|os\.environ|\$|<|\{\{|%|env\(|getenv|\*+$|x+$|changeme|example|password|secret|your[_-])/i;
+
+export function isRedactionEnabled() {
+  return String(process.env.SECRET_REDACTION ?? "true").toLowerCase() !== "false";
+}
+
+/**
+ * Shannon entropy in bits per character
+ */
+export function shannonEntropy(value) {
+  const counts = new Map();
+  for (const ch of value) counts.set(ch, (counts.get(ch) || 0) + 1);
+  let entropy = 0;
+  for (const count of counts.values()) {
+    const p = count / value.length;
+    entropy -= p * Math.log2(p);
+  }
+  return entropy;
+}
+
+function looksRandom(value) {
+  if (value.length < MIN_ENTROPY_LENGTH) return false;
+  // Needs letters and digits; plain hex (hashes, ids) and words-with-separators don't count
+  if (!/[0-9]/.test(value) || !/[a-z]/i.test(value)) return false;
+  if (/^[0-9a-f]+$/i.test(value)) return false;
+  if (/^[a-z0-9]+(?:[_/.-][a-z0-9]+)+$/i.test(value) && !/[A-Z]/.test(value)) return false;
+  return shannonEntropy(value) >= MIN_ENTROPY;
+}
+
+function isPlaceholder(value) {
+  return value.startsWith(PLACEHOLDER_PREFIX) || PLACEHOLDER_VALUE.test(value);
+}
+
+/**
+ * Stable placeholder for a secret value
+ */
+export function placeholderFor(ruleId, value) {
+  const hash = crypto.createHash("sha256").update(value).digest("hex").substring(0, 8);
+  return `${PLACEHOLDER_PREFIX}${ruleId}:${hash}]`;
+}
+
+/**
+ * Find secrets in a piece of text (private key blocks are handled separately)
+ * @param {string} text - Text to scan
+ * @returns {object[]} [{ ruleId, name, confidence, value, index }], in text order, without overlaps
+ */
+export function detectSecrets(text) {
+  if (!text || typeof text !== "string") return [];
+  const found = [];
+
+  for (const rule of RULES) {
+    for (const match of text.matchAll(rule.pattern)) {
+      const value = match.groups?.secret ?? match[0];
+      if (isPlaceholder(value)) continue;
+      const index = match.index + match[0].lastIndexOf(value);
+      found.push({ ruleId: rule.id, name: rule.name, confidence: rule.confidence, value, index });
+    }
+  }
+
+  for (const match of text.matchAll(ENTROPY_CANDIDATE)) {
+    const value = match.groups.secret;
+    if (isPlaceholder(value) || INTEGRITY_VALUE.test(value) || !looksRandom(value)) continue;
+    const index = match.index + match[0].lastIndexOf(value);
+    if (DATA_URI_PREFIX.test(text.substring(Math.max(0, index - 100), index))) continue;
+    found.push({ ruleId: "high-entropy-string", name: "high-entropy string", confidence: 0.6, value, index });
+  }
+
+  // Specific rules are listed first, so they win over overlapping generic matches
+  const kept = [];
+  for (const secret of found) {
+    const end = secret.index + secret.value.length;
+    if (kept.some(k => secret.index < k.index + k.value.length && k.index < end)) continue;
+    kept.push(secret);
+  }
+  return kept.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Replace secrets in text with stable placeholders
+ * @param {string} text - Prompt text (diffs, titles, descriptions)
+ * @returns {object} { text, count }
+ */
+export function redactSecrets(text) {
+  if (!text || typeof text !== "string") return { text, count: 0 };
+  let count = 0;
+
+  // Private key bodies first: keep the BEGIN/END lines and the line structure
+  let result = text.replace(PRIVATE_KEY_BLOCK, (block, kind, body) => {
+    const placeholder = placeholderFor("private-key", body);
+    let replaced = false;
+    const redactedBody = body.replace(KEY_BODY, (line, marker) => {
+      replaced = true;
+      return marker + placeholder;
+    });
+    if (replaced) count++;
+    return block.replace(body, () => redactedBody);
+  });
+
+  // Replace from the end so earlier indexes stay valid
+  for (const secret of detectSecrets(result).reverse()) {
+    result = result.substring(0, secret.index) + placeholderFor(secret.ruleId, secret.value) + result.substring(secret.index + secret.value.length);
+    count++;
+  }
+
+  return { text: result, count };
+}
+
+function secretFinding(file, line, endLine, name, confidence) {
+  return {
+    file,
+    line,
+    endLine,
+    severity: "critical",
+    category: "security",
+    confidence,
+    comment: `Secret committed (${name}): remove it from the pull request and its history, rotate it, and load it from the environment or a secret store instead.`,
+    rule: SECRET_RULE,
+    source: "secret-scanner"
+  };
+}
+
+/**
+ * One "secret committed" finding per added diff line holding a secret
+ * (one per private key block)
+ * @param {string} diff - Unified diff
+ * @returns {object[]} Findings
+ */
+export function scanDiffForSecrets(diff) {
+  const findings = [];
+
+  for (const file of parseDiff(diff)) {
+    if (file.isDeleted || file.isBinary) continue;
+    let keyStart = null;
+    let lastLine = null;
+
+    for (const hunk of file.hunks) {
+      for (const l of hunk.lines) {
+        if (l.type !== "add") continue;
+
+        if (keyStart !== null) {
+          lastLine = l.newLine;
+          if (PRIVATE_KEY_END.test(l.content)) {
+            findings.push(secretFinding(file.path, keyStart, l.newLine, "private key", 0.95));
+            keyStart = null;
+          }
+          continue;
+        }
+        if (PRIVATE_KEY_BEGIN.test(l.content)) {
+          keyStart = l.newLine;
+          lastLine = l.newLine;
+          continue;
+        }
+
+        const [secret] = detectSecrets(l.content).sort((a, b) => b.confidence - a.confidence);
+        if (secret) findings.push(secretFinding(file.path, l.newLine, l.newLine, secret.name, secret.confidence));
+      }
+    }
+
+    // Key block that runs past the end of the diff
+    if (keyStart !== null) findings.push(secretFinding(file.path, keyStart, lastLine, "private key", 0.95));
+  }
+
+  return findings;
+}
+
+/**
+ * Put secret findings first (so comment caps keep them) and drop the model's
+ * security comments on the same lines, which only restate the leak
+ * @param {object[]} comments - Review findings
+ * @param {object[]} secrets - From scanDiffForSecrets()
+ * @returns {object[]} Findings
+ */
+export function addSecretFindings(comments, secrets) {
+  if (!Array.isArray(secrets) || secrets.length === 0) return comments;
+  const onSecretLine = (c) => secrets.some(s => s.file === c.file && c.line !== null && c.line >= s.line && c.line <= s.endLine);
+  return [...secrets, ...comments.filter(c => !(c.category === "security" && onSecretLine(c)))];
+}
@@ -0,0 +1,355 @@
+/**
+ * Static Analysis
+ * Runs deterministic linters on the changed files of a local checkout and turns their
+ * diagnostics into findings. The diagnostics are given to the model as context, then
+ * merged with the model's comments (see mergeDiagnostics) so each issue appears once.
+ *
+ * Built in: eslint and tsc, taken from the checkout's node_modules/.bin.
+ * Extra commands come from STATIC_ANALYSIS_COMMANDS (JSON), e.g.
+ *   [{"name": "semgrep", "command": "semgrep --sarif --quiet {files}", "format": "sarif"}]
+ * where {files} is replaced with the changed files and format is sarif | eslint | tsc | json
+ * (json: [{ file, line, endLine, severity, message, rule }]).
+ *
+ * Checkouts must live under STATIC_ANALYSIS_ROOT; without it local analysis is disabled.
+ * Webhook reviews use the checkout at <root>/<workspace>/<repo> (or the repo setting
+ * staticAnalysisWorkdir) when its HEAD is the PR's head commit; keeping it in sync is up to
+ * the operator (e.g. a CI step that checks out the PR branch there).
+ */
+import { execFile } from "child_process";
+import fs from "fs/promises";
+import path from "path";
+import { promisify } from "util";
+import { parseDiff, normalizePath } from "./diffParser.js";
+import { normalizeFinding } from "./findings.js";
+
+const execFileAsync = promisify(execFile);
+
+export const BUILTIN_ANALYZERS = ["eslint", "tsc"];
+const FORMATS = ["sarif", "eslint", "tsc", "json"];
+
+const DEFAULT_TIMEOUT_MS = 60000;
+const MAX_OUTPUT_BYTES = 20 * 1024 * 1024;
+// Diagnostics the model didn't comment on are appended up to this many
+const MAX_DIAGNOSTIC_FINDINGS = 50;
+const LINTABLE_FILE = /\.(c|m)?(j|t)sx?$/;
+const TS_FILE = /\.(c|m)?tsx?$/;
+
+/**
+ * Operator-configured analyzers from STATIC_ANALYSIS_COMMANDS
+ * @returns {object[]} [{ name, command, format }]
+ */
+export function getCustomAnalyzers() {
+  const raw = process.env.STATIC_ANALYSIS_COMMANDS;
+  if (!raw) return [];
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (err) {
+    console.warn(`⚠️  STATIC_ANALYSIS_COMMANDS is not valid JSON: ${err.message}`);
+    return [];
+  }
+
+  return (Array.isArray(parsed) ? parsed : []).filter(a => {
+    const ok = a && typeof a.name === "string" && typeof a.command === "string" && FORMATS.includes(a.format);
+    if (!ok) console.warn(`⚠️  Ignoring static analyzer ${JSON.stringify(a)}: needs name, command and format (${FORMATS.join(" | ")})`);
+    return ok;
+  });
+}
+
+/**
+ * Resolve a requested checkout directory; it must be inside STATIC_ANALYSIS_ROOT
+ * @param {string} dir - Checkout directory (absolute, or relative to the root)
+ * @returns {object} { workdir } or { error }
+ */
+export function resolveWorkdir(dir) {
+  const root = process.env.STATIC_ANALYSIS_ROOT;
+  if (!root) return { error: "local static analysis is disabled (STATIC_ANALYSIS_ROOT is not set)" };
+
+  const resolvedRoot = path.resolve(root);
+  const workdir = path.resolve(resolvedRoot, dir);
+  if (workdir !== resolvedRoot && !workdir.startsWith(resolvedRoot + path.sep)) {
+    return { error: "workdir must be inside STATIC_ANALYSIS_ROOT" };
+  }
+  return { workdir };
+}
+
+/**
+ * Checkout to analyze for a webhook review. It is only used when its HEAD is the PR's
+ * head commit, so the diagnostics describe the code under review.
+ * @param {string} fullName - Repository full name ("workspace/repo")
+ * @param {string} commit - PR head commit (full or abbreviated hash)
+ * @param {object} settings - Repository settings (staticAnalysisWorkdir, relative to the root)
+ * @returns {Promise<object>} { workdir } or { error }
+ */
+export async function findCheckout(fullName, commit, settings = {}) {
+  const { workdir, error } = resolveWorkdir(settings.staticAnalysisWorkdir || fullName);
+  if (error) return { error };
+  if (!(await exists(workdir))) return { error: `no checkout at ${workdir}` };
+  if (!commit) return { error: "the PR head commit is unknown" };
+
+  let head;
+  try {
+    ({ stdout: head } = await execFileAsync("git", ["rev-parse", "HEAD"], { cwd: workdir, timeout: 10000 }));
+  } catch (err) {
+    return { error: `${workdir} is not a git checkout` };
+  }
+  head = head.trim();
+  if (!head.startsWith(commit) && !commit.startsWith(head)) {
+    return { error: `checkout is at ${head.substring(0, 12)}, not the PR head ${commit.substring(0, 12)}` };
+  }
+  return { workdir };
+}
+
+async function exists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Built-in analyzers the checkout can run: eslint when installed, tsc when installed with a tsconfig.json
+ * @param {string} workdir - Checkout directory
+ * @returns {Promise<string[]>} Analyzer names
+ */
+export async function detectAnalyzers(workdir) {
+  const found = [];
+  if (await exists(path.join(workdir, "node_modules", ".bin", "eslint"))) found.push("eslint");
+  if (await exists(path.join(workdir, "node_modules", ".bin", "tsc")) && await exists(path.join(workdir, "tsconfig.json"))) {
+    found.push("tsc");
+  }
+  return found;
+}
+
+function toRelative(file, workdir) {
+  const clean = String(file || "").replace(/^file:\/\//, "");
+  const relative = path.isAbsolute(clean) ? path.relative(workdir, clean) : clean;
+  return normalizePath(relative.split(path.sep).join("/"));
+}
+
+function toFinding(raw, source) {
+  return normalizeFinding({ ...raw, confidence: 1, source });
+}
+
+/**
+ * Parse `eslint --format json` output
+ */
+export function parseEslintOutput(stdout, workdir, source = "eslint") {
+  const results = JSON.parse(stdout);
+  return results.flatMap(r => (r.messages || []).map(m => toFinding({
+    file: toRelative(r.filePath, workdir),
+    line: m.line,
+    endLine: m.endLine,
+    severity: m.severity === 2 ? "major" : "minor",
+    category: m.ruleId ? "maintainability" : "bug",
+    rule: m.ruleId || "parse-error",
+    comment: m.message
+  }, source)));
+}
+
+/**
+ * Parse `tsc --pretty false` output: "src/a.ts(12,5): error TS2322: message"
+ */
+export function parseTscOutput(stdout, workdir, source = "tsc") {
+  const diagnostics = [];
+  for (const line of stdout.split("\n")) {
+    const match = line.match(/^(.+?)\((\d+),\d+\): (error|warning) (TS\d+): (.*)$/);
+    if (!match) continue;
+    diagnostics.push(toFinding({
+      file: toRelative(match[1], workdir),
+      line: match[2],
+      severity: match[3] === "error" ? "major" : "minor",
+      category: "bug",
+      rule: match[4],
+      comment: match[5]
+    }, source));
+  }
+  return diagnostics;
+}
+
+/**
+ * Parse SARIF 2.1 output (one finding per result location)
+ */
+export function parseSarif(stdout, workdir, source) {
+  const sarif = JSON.parse(stdout);
+  const levels = { error: "major", warning: "minor", note: "nit", none: "nit" };
+
+  return (sarif.runs || []).flatMap(run => {
+    const tool = run.tool?.driver?.name || source;
+    const rules = new Map((run.tool?.driver?.rules || []).map(r => [r.id, r]));
+
+    return (run.results || []).map(result => {
+      const location = result.locations?.[0]?.physicalLocation;
+      const rule = rules.get(result.ruleId);
+      const tags = rule?.properties?.tags || [];
+      return toFinding({
+        file: toRelative(location?.artifactLocation?.uri, workdir),
+        line: location?.region?.startLine,
+        endLine: location?.region?.endLine,
+        severity: levels[result.level || rule?.defaultConfiguration?.level] || "minor",
+        category: tags.some(t => /security/i.test(t)) ? "security" : "maintainability",
+        rule: result.ruleId,
+        comment: result.message?.text || rule?.shortDescription?.text || ""
+      }, source || tool);
+    });
+  });
+}
+
+/**
+ * Parse the generic JSON format: [{ file, line, endLine, severity, category, message, rule }]
+ */
+export function parseJsonDiagnostics(stdout, workdir, source) {
+  const items = JSON.parse(stdout);
+  return (Array.isArray(items) ? items : []).map(d => toFinding({
+    ...d,
+    file: toRelative(d.file, workdir),
+    comment: d.message ?? d.comment
+  }, source));
+}
+
+const PARSERS = { eslint: parseEslintOutput, tsc: parseTscOutput, sarif: parseSarif, json: parseJsonDiagnostics };
+
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, "'\\''")}'`;
+}
+
+/**
+ * Run a command and return its stdout. Linters exit non-zero when they find
+ * something, so a failed exit with output still counts as a result.
+ */
+async function runCommand(file, args, workdir, signal) {
+  const timeout = parseInt(process.env.STATIC_ANALYSIS_TIMEOUT_MS, 10) || DEFAULT_TIMEOUT_MS;
+  try {
+    const { stdout } = await execFileAsync(file, args, { cwd: workdir, timeout, maxBuffer: MAX_OUTPUT_BYTES, signal });
+    return stdout;
+  } catch (err) {
+    if (typeof err.stdout === "string" && err.stdout.trim().length > 0) return err.stdout;
+    const detail = String(err.stderr || "").trim().split("\n")[0];
+    throw new Error(err.killed ? `timed out after ${timeout}ms` : detail || err.message);
+  }
+}
+
+function buildRun(name, workdir, files) {
+  const bin = (tool) => path.join(workdir, "node_modules", ".bin", tool);
+
+  if (name === "eslint") {
+    const targets = files.filter(f => LINTABLE_FILE.test(f));
+    if (targets.length === 0) return null;
+    // "--" so a file named like an option ("-rf.js") stays a file
+    return { file: bin("eslint"), args: ["--format", "json", "--no-error-on-unmatched-pattern", "--", ...targets], format: "eslint" };
+  }
+  if (name === "tsc") {
+    // tsc checks the whole project; diagnostics are narrowed to the changed lines afterwards
+    if (!files.some(f => TS_FILE.test(f))) return null;
+    return { file: bin("tsc"), args: ["--noEmit", "--pretty", "false"], format: "tsc" };
+  }
+
+  const custom = getCustomAnalyzers().find(a => a.name === name);
+  if (!custom) return null;
+  const command = custom.command.includes("{files}")
+    ? custom.command.replace("{files}", files.map(shellQuote).join(" "))
+    : custom.command;
+  return { file: "sh", args: ["-c", command], format: custom.format };
+}
+
+/**
+ * Lines each file adds in the diff
+ * @returns {Map<string, Set<number>>}
+ */
+function addedLines(diff) {
+  const files = new Map();
+  for (const file of parseDiff(diff)) {
+    if (file.isDeleted || file.isBinary) continue;
+    const lines = new Set();
+    file.hunks.forEach(h => h.lines.forEach(l => {
+      if (l.type === "add") lines.add(l.newLine);
+    }));
+    files.set(file.path, lines);
+  }
+  return files;
+}
+
+/**
+ * Run analyzers on the files a diff changes and keep the diagnostics on added lines
+ * @param {string} workdir - Checkout directory, already resolved (see resolveWorkdir)
+ * @param {string} diff - PR diff
+ * @param {object} options - { analyzers: string[] (default: detected built-ins), signal }
+ * @returns {Promise<object>} { diagnostics: finding[], analyzers: [{ name, count, error? }] }
+ */
+export async function runStaticAnalysis(workdir, diff, options = {}) {
+  const changed = addedLines(diff);
+  const files = [...changed.keys()];
+  const names = options.analyzers || await detectAnalyzers(workdir);
+
+  const diagnostics = [];
+  const analyzers = [];
+
+  // One at a time: linters are CPU-heavy
+  for (const name of names) {
+    if (options.signal?.aborted) break;
+
+    const run = buildRun(name, workdir, files);
+    if (!run) continue;
+
+    try {
+      const stdout = await runCommand(run.file, run.args, workdir, options.signal);
+      const found = PARSERS[run.format](stdout, workdir, name)
+        .filter(d => d && d.line !== null && changed.get(d.file)?.has(d.line));
+      diagnostics.push(...found);
+      analyzers.push({ name, count: found.length });
+      console.log(`🔎 ${name}: ${found.length} diagnostic(s) on changed lines`);
+    } catch (err) {
+      console.warn(`⚠️  Static analyzer ${name} failed: ${err.message}`);
+      analyzers.push({ name, count: 0, error: err.message });
+    }
+  }
+
+  return { diagnostics: dedupeDiagnostics(diagnostics), analyzers };
+}
+
+function dedupeDiagnostics(diagnostics) {
+  const seen = new Set();
+  return diagnostics.filter(d => {
+    const key = `${d.file}:${d.line}:${d.rule || d.comment}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+function covers(comment, diagnostic) {
+  if (comment.file !== diagnostic.file || comment.line === null) return false;
+  if (comment.rule && comment.rule !== diagnostic.rule) return false;
+  return diagnostic.line >= comment.line && diagnostic.line <= (comment.endLine ?? comment.line);
+}
+
+/**
+ * Merge diagnostics into the model's comments. A comment on a diagnostic's line
+ * (with the same rule, when it names one) replaces it and is marked with the
+ * rule and source; the other diagnostics are appended as findings.
+ * @param {object[]} comments - Normalized model findings
+ * @param {object[]} diagnostics - From runStaticAnalysis()
+ * @returns {object[]} Findings
+ */
+export function mergeDiagnostics(comments, diagnostics) {
+  if (!Array.isArray(diagnostics) || diagnostics.length === 0) return comments;
+
+  const merged = comments.map(c => ({ ...c }));
+  const unmatched = [];
+
+  for (const diagnostic of diagnostics) {
+    const comment = merged.find(c => covers(c, diagnostic));
+    if (!comment) {
+      unmatched.push(diagnostic);
+      continue;
+    }
+    comment.rule = comment.rule || diagnostic.rule;
+    comment.source = comment.source || diagnostic.source;
+    comment.confidence = 1;
+  }
+
+  return [...merged, ...unmatched.slice(0, MAX_DIAGNOSTIC_FINDINGS)];
+}
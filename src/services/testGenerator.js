@@ -0,0 +1,269 @@
+/**
+ * Test Generator
+ * Optional mode that turns a review's testCases into test files for the changed code:
+ * detects the repo's framework (Jest, Mocha, Vitest, node:test) and test layout,
+ * asks the model for one test file per changed source file, syntax-checks each file
+ * locally, and renders the survivors as a PR comment and/or a downloadable patch.
+ *
+ * Enabled per repo with `generateTests: comment | patch` in .prreviewer.yml,
+ * or globally with GENERATE_TESTS.
+ */
+import { execFile } from "child_process";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { promisify } from "util";
+import { parseDiff } from "./diffParser.js";
+import { callModel, pickModel } from "./modelRouter.js";
+import { testFileMessages } from "./prompts.js";
+
+const execFileAsync = promisify(execFile);
+
+export const TEST_MODES = ["off", "comment", "patch"];
+
+const SOURCE_FILE = /\.(c|m)?(j|t)sx?$/;
+const TEST_FILE = /(^|\/)(__tests__|tests?)\/|\.(test|spec)\.[cm]?[jt]sx?$/;
+const DEFAULT_MAX_FILES = 3;
+const CHECK_TIMEOUT_MS = 10000;
+
+/**
+ * Resolve the mode: repo config, then GENERATE_TESTS, then "off"
+ * @param {object} config - Repo config from .prreviewer.yml
+ * @returns {string} off | comment | patch
+ */
+export function getTestMode(config = {}) {
+  const mode = String(config.generateTests || process.env.GENERATE_TESTS || "off").toLowerCase();
+  return TEST_MODES.includes(mode) ? mode : "off";
+}
+
+/**
+ * Pick the test framework from package.json
+ * @param {object|null} pkg - Parsed package.json
+ * @returns {string} jest | vitest | mocha | node:test
+ */
+export function detectFramework(pkg) {
+  const deps = { ...pkg?.dependencies, ...pkg?.devDependencies };
+  const testScript = String(pkg?.scripts?.test || "");
+
+  if (deps.vitest || /\bvitest\b/.test(testScript)) return "vitest";
+  if (deps.jest || /\bjest\b/.test(testScript)) return "jest";
+  if (deps.mocha || /\bmocha\b/.test(testScript)) return "mocha";
+  return "node:test";
+}
+
+/**
+ * Work out where test files live from test paths the PR already touches,
+ * falling back to the framework's usual layout
+ * @param {string[]} paths - Changed paths
+ * @param {string} framework - From detectFramework()
+ * @returns {object} { style: "sibling" | "__tests__" | "dir", dir, suffix: "test" | "spec" }
+ */
+export function detectLayout(paths, framework) {
+  const tests = paths.filter(p => TEST_FILE.test(p));
+  const suffix = tests.some(p => /\.spec\./.test(p)) && !tests.some(p => /\.test\./.test(p)) ? "spec" : "test";
+
+  if (tests.some(p => p.includes("__tests__/"))) return { style: "__tests__", dir: null, suffix };
+
+  const rootDir = tests.map(p => p.match(/^(tests?)\//)?.[1]).find(Boolean);
+  if (rootDir) return { style: "dir", dir: rootDir, suffix };
+
+  if (tests.length > 0) return { style: "sibling", dir: null, suffix };
+
+  return framework === "jest" || framework === "vitest"
+    ? { style: "sibling", dir: null, suffix }
+    : { style: "dir", dir: "test", suffix };
+}
+
+/**
+ * Test file path for a source file
+ * @param {string} sourcePath - Changed source file
+ * @param {object} layout - From detectLayout()
+ * @returns {string} Test path
+ */
+export function testPathFor(sourcePath, layout) {
+  const ext = path.posix.extname(sourcePath);
+  const base = path.posix.basename(sourcePath, ext);
+  const dir = path.posix.dirname(sourcePath);
+  const name = `${base}.${layout.suffix}${ext}`;
+
+  if (layout.style === "__tests__") return path.posix.join(dir, "__tests__", name);
+  if (layout.style === "dir") {
+    // src/utils/a.js -> test/utils/a.test.js
+    const sub = dir === "." ? "" : dir.replace(/^(src|lib)(\/|$)/, "");
+    return path.posix.join(layout.dir, sub, name);
+  }
+  return path.posix.join(dir, name);
+}
+
+/**
+ * Relative import specifier from a test file to its source file
+ */
+export function importPathFor(testPath, sourcePath) {
+  const rel = path.posix.relative(path.posix.dirname(testPath), sourcePath);
+  return rel.startsWith(".") ? rel : `./${rel}`;
+}
+
+function stripFences(text) {
+  return text.trim().replace(/^```[a-z]*\s*\n/i, "").replace(/\n```\s*$/, "").trim();
+}
+
+/**
+ * The typescript package, loaded on first use; null when the optional dependency isn't installed
+ */
+let typescript;
+async function loadTypeScript() {
+  if (typescript === undefined) {
+    try {
+      typescript = (await import("typescript")).default;
+    } catch {
+      console.warn("⚠️ typescript is not installed; generated .ts tests are offered without a syntax check");
+      typescript = null;
+    }
+  }
+  return typescript;
+}
+
+/**
+ * Syntax-check a generated file without running it.
+ * JavaScript goes through `node --check`; TypeScript is parsed with the optional typescript
+ * package, and the check is skipped when it isn't installed.
+ * @param {string} code - Test source
+ * @param {string} filePath - Test path (extension decides the checker)
+ * @param {string} moduleType - "module" or "commonjs" (for .js files)
+ * @returns {Promise<string|null>} Error message, or null when the syntax is valid
+ */
+export async function checkSyntax(code, filePath, moduleType) {
+  const ext = path.extname(filePath);
+
+  if (/^\.[cm]?tsx?$/.test(ext)) {
+    const ts = await loadTypeScript();
+    if (!ts) return null;
+    const out = ts.transpileModule(code, { fileName: filePath, reportDiagnostics: true });
+    const errors = (out.diagnostics || []).map(d => ts.flattenDiagnosticMessageText(d.messageText, "\n"));
+    return errors.length > 0 ? errors.slice(0, 3).join("; ") : null;
+  }
+
+  if (/^\.jsx$/.test(ext)) return "JSX files can't be checked locally";
+
+  const checkExt = ext === ".js" ? (moduleType === "module" ? ".mjs" : ".cjs") : ext;
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "pr-reviewer-test-"));
+  const file = path.join(dir, `check${checkExt}`);
+  try {
+    await fs.writeFile(file, code, "utf8");
+    await execFileAsync(process.execPath, ["--check", file], { timeout: CHECK_TIMEOUT_MS });
+    return null;
+  } catch (err) {
+    const message = String(err.stderr || err.message).split("\n").find(l => /Error/.test(l)) || "syntax check failed";
+    return message.trim();
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Generate and check test files for a review
+ * @param {object} review - { testCases }
+ * @param {string} diff - PR diff
+ * @param {object} options - { pkg: parsed package.json | null, model, provider, maxFiles, signal }
+ * @returns {Promise<object>} { framework, files: [{ path, sourcePath, code }], rejected: [{ path, error }] }
+ */
+export async function generateTestFiles(review, diff, options = {}) {
+  const testCases = Array.isArray(review?.testCases) ? review.testCases : [];
+  const files = parseDiff(diff).filter(f => !f.isDeleted && !f.isBinary);
+  const framework = detectFramework(options.pkg);
+  const moduleType = options.pkg?.type === "module" ? "module" : "commonjs";
+  const layout = detectLayout(files.map(f => f.path), framework);
+
+  const sources = files
+    .filter(f => SOURCE_FILE.test(f.path) && !TEST_FILE.test(f.path) && f.additions > 0)
+    .slice(0, options.maxFiles || DEFAULT_MAX_FILES);
+
+  const result = { framework, files: [], rejected: [] };
+  if (testCases.length === 0 || sources.length === 0) return result;
+
+  for (const source of sources) {
+    if (options.signal?.aborted) break;
+
+    const testPath = testPathFor(source.path, layout);
+    const messages = testFileMessages({
+      framework,
+      moduleType,
+      testPath,
+      sourcePath: source.path,
+      importPath: importPathFor(testPath, source.path),
+      testCases,
+      diff: source.text.substring(0, 30000)
+    });
+
+    try {
+      const output = await callModel(options.model || pickModel("review"), messages, 2000, {
+        useCase: "review",
+        provider: options.provider
+      });
+      const code = stripFences(output?.choices?.[0]?.message?.content || "");
+      if (!code) throw new Error("empty response");
+
+      const syntaxError = await checkSyntax(code, testPath, moduleType);
+      if (syntaxError) {
+        console.log(`🧪 Rejected generated test ${testPath}: ${syntaxError}`);
+        result.rejected.push({ path: testPath, error: syntaxError });
+        continue;
+      }
+      result.files.push({ path: testPath, sourcePath: source.path, code });
+    } catch (err) {
+      console.warn(`⚠️  Test generation for ${source.path} failed: ${err.message}`);
+      result.rejected.push({ path: testPath, error: err.message });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Render generated files as a patch that creates them (git apply / patch -p1)
+ * @param {object[]} files - [{ path, code }]
+ * @returns {string} Unified diff
+ */
+export function buildTestPatch(files) {
+  return files.map(f => {
+    const lines = f.code.replace(/\n$/, "").split("\n");
+    return [
+      `diff --git a/${f.path} b/${f.path}`,
+      "new file mode 100644",
+      "--- /dev/null",
+      `+++ b/${f.path}`,
+      `@@ -0,0 +1,${lines.length} @@`,
+      ...lines.map(l => `+${l}`)
+    ].join("\n");
+  }).join("\n") + "\n";
+}
+
+// Marks the generated-tests comment so later pushes edit it instead of adding another
+export const TESTS_MARKER = "[//]: # (pr-reviewer:tests)";
+
+/**
+ * Render generated files as a follow-up PR comment
+ * @param {object} generated - From generateTestFiles()
+ * @param {string|null} patchUrl - Download link for the patch, if any
+ * @returns {string} Markdown
+ */
+export function formatTestComment(generated, patchUrl) {
+  const parts = [TESTS_MARKER, `🧪 **Generated tests** (${generated.framework}) - syntax-checked, not run. Review before committing.`];
+
+  if (patchUrl) {
+    // Patch mode: link the download and list the files instead of pasting them
+    parts.push(`Download as a patch: ${patchUrl} (needs the admin API token; apply with \`git apply\`)`);
+    parts.push(generated.files.map(f => `- \`${f.path}\` (for \`${f.sourcePath}\`)`).join("\n"));
+  } else {
+    for (const f of generated.files) {
+      const lang = /\.[cm]?tsx?$/.test(f.path) ? "typescript" : "javascript";
+      parts.push(`**\`${f.path}\`** (for \`${f.sourcePath}\`)\n\n\`\`\`${lang}\n${f.code}\n\`\`\``);
+    }
+  }
+
+  if (generated.rejected.length > 0) {
+    parts.push(`_Not offered: ${generated.rejected.map(r => `\`${r.path}\` (${r.error})`).join(", ")}_`);
+  }
+
+  return parts.join("\n\n");
+}
@@ -0,0 +1,41 @@
+/**
+ * API Token Authentication
+ * Endpoints that call the model or expose review data require ADMIN_API_TOKEN,
+ * sent as "Authorization: Bearer <token>" or an X-API-Token header.
+ */
+import crypto from "crypto";
+
+function configuredToken() {
+  return process.env.ADMIN_API_TOKEN?.trim() || "";
+}
+
+/**
+ * Whether the request carries the admin token (always false when none is configured)
+ * @param {object} req - Express request
+ * @returns {boolean}
+ */
+export function hasAdminToken(req) {
+  const expected = configuredToken();
+  if (!expected) return false;
+
+  const header = String(req.headers.authorization || "");
+  const token = header.toLowerCase().startsWith("bearer ")
+    ? header.slice(7).trim()
+    : String(req.headers["x-api-token"] || "").trim();
+  if (!token) return false;
+
+  // Compare digests so lengths always match for timingSafeEqual
+  const received = crypto.createHash("sha256").update(token).digest();
+  return crypto.timingSafeEqual(crypto.createHash("sha256").update(expected).digest(), received);
+}
+
+/**
+ * Express middleware that rejects requests without the admin token with 401
+ */
+export function requireAdminToken(req, res, next) {
+  if (hasAdminToken(req)) return next();
+  if (!configuredToken()) {
+    return res.status(401).json({ error: "Admin API disabled: ADMIN_API_TOKEN is not set" });
+  }
+  return res.status(401).json({ error: "Missing or invalid admin token" });
+}
@@ -0,0 +1,78 @@
+/**
+ * Server-Sent Events
+ * Streams a model reply to the client as it is generated. Opt in with
+ * `Accept: text/event-stream` or `?stream=true`.
+ *
+ * Events:
+ * - token: { text } for each piece of the reply
+ * - done: { model, provider, usage, timestamp } once the reply is complete
+ * - error: { error, message? } if the call fails (the stream then ends)
+ */
+import { callModel } from "../services/modelRouter.js";
+
+/**
+ * Whether the client asked for a streamed response
+ * @param {object} req - Express request
+ * @returns {boolean}
+ */
+export function wantsEventStream(req) {
+  if (String(req.query?.stream).toLowerCase() === "true") return true;
+  return String(req.headers.accept || "").includes("text/event-stream");
+}
+
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Call the model and stream its reply as SSE. The upstream request is aborted
+ * when the client disconnects.
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {object} call - { model, messages, maxTokens, options } as for callModel
+ * @returns {Promise<object|null>} The model result, or null if it failed or the client left
+ */
+export async function streamModelResponse(req, res, { model, messages, maxTokens, options = {} }) {
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableEnded) {
+      console.log("🔌 Client disconnected, aborting model stream");
+      controller.abort();
+    }
+  });
+
+  res.status(200).set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    // Stop proxies (nginx, Render) from buffering the stream
+    "X-Accel-Buffering": "no"
+  });
+  res.flushHeaders();
+
+  try {
+    const result = await callModel(model, messages, maxTokens, {
+      ...options,
+      signal: controller.signal,
+      onToken: (text) => sendEvent(res, "token", { text })
+    });
+
+    sendEvent(res, "done", {
+      model: result.model || model,
+      provider: result.provider,
+      usage: result.usage || null,
+      timestamp: new Date().toISOString()
+    });
+    res.end();
+    return result;
+  } catch (err) {
+    if (controller.signal.aborted) return null;
+    console.error("❌ Stream error:", err.message);
+    sendEvent(res, "error", {
+      error: "Failed to generate response",
+      message: process.env.NODE_ENV === "development" ? err.message : undefined
+    });
+    res.end();
+    return null;
+  }
+}
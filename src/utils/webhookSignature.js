@@ -0,0 +1,197 @@
+/**
+ * Webhook Signature Verification
+ * Checks HMAC-SHA256 signatures on incoming webhook deliveries against the raw body
+ */
+import crypto from "crypto";
+
+/**
+ * Split a comma-separated secret list ("new,old") into trimmed, non-empty secrets.
+ * Listing more than one secret lets an old and a new secret overlap during rotation.
+ * @param {string|string[]} value - Secret list from config
+ * @returns {string[]} Secrets
+ */
+export function parseSecrets(value) {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : String(value).split(",");
+  return list
+    .filter(s => typeof s === "string")
+    .map(s => s.trim())
+    .filter(s => s.length > 0);
+}
+
+/**
+ * Load webhook secrets from the environment
+ * - WEBHOOK_SECRET: global secret list, e.g. "new-secret,old-secret"
+ * - WEBHOOK_REPO_SECRETS: JSON map of "workspace/repo" -> secret list (string or array)
+ * @returns {Object} { global: string[], repos: { [fullName]: string[] } }
+ */
+export function loadWebhookSecrets() {
+  const global = parseSecrets(process.env.WEBHOOK_SECRET);
+  const repos = {};
+
+  const raw = process.env.WEBHOOK_REPO_SECRETS;
+  if (raw && raw.trim().length > 0) {
+    try {
+      const parsed = JSON.parse(raw);
+      if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+        throw new Error("expected a JSON object");
+      }
+      for (const [fullName, value] of Object.entries(parsed)) {
+        const secrets = parseSecrets(value);
+        if (secrets.length > 0) repos[fullName.toLowerCase()] = secrets;
+      }
+    } catch (err) {
+      console.warn("⚠️  Ignoring invalid WEBHOOK_REPO_SECRETS:", err.message);
+    }
+  }
+
+  return { global, repos };
+}
+
+/**
+ * Resolve the secrets that apply to a repository.
+ * Per-repository secrets take precedence over the global list.
+ * @param {string} fullName - Repository full name ("workspace/repo")
+ * @param {Object} config - Output of loadWebhookSecrets()
+ * @returns {string[]} Secrets to try
+ */
+export function getSecretsForRepo(fullName, config = loadWebhookSecrets()) {
+  const key = typeof fullName === "string" ? fullName.toLowerCase() : "";
+  if (key && config.repos[key]) return config.repos[key];
+  return config.global;
+}
+
+/**
+ * Whether any webhook secret is configured (globally or for some repository).
+ * Once one is, deliveries without an applicable secret are rejected rather than trusted,
+ * since the repository name used to look secrets up comes from the unsigned payload.
+ * @param {Object} config - Output of loadWebhookSecrets()
+ * @returns {boolean}
+ */
+export function hasWebhookSecrets(config = loadWebhookSecrets()) {
+  return config.global.length > 0 || Object.keys(config.repos).length > 0;
+}
+
+/**
+ * Compute the "sha256=<hex>" signature of a payload
+ * @param {string} secret - Shared secret
+ * @param {Buffer|string} rawBody - Raw request body
+ * @returns {string} Signature header value
+ */
+export function computeSignature(secret, rawBody) {
+  const digest = crypto.createHmac("sha256", secret).update(rawBody).digest("hex");
+  return `sha256=${digest}`;
+}
+
+/**
+ * Check a signature header against any of the given secrets (constant-time compare)
+ * @param {Buffer|string} rawBody - Raw request body
+ * @param {string} signatureHeader - Value of the signature header
+ * @param {string[]} secrets - Accepted secrets
+ * @returns {boolean} True when one secret produces a matching signature
+ */
+export function verifySignature(rawBody, signatureHeader, secrets) {
+  if (!rawBody || typeof signatureHeader !== "string" || !signatureHeader.startsWith("sha256=")) {
+    return false;
+  }
+
+  const received = Buffer.from(signatureHeader.trim().toLowerCase());
+
+  return secrets.some(secret => {
+    const expected = Buffer.from(computeSignature(secret, rawBody));
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  });
+}
+
+/**
+ * No secret applies to this delivery: let it through only when verification is off entirely
+ */
+function rejectUnlessUnenforced(isEnforced, res, next) {
+  if (!isEnforced()) return next();
+  console.warn("❌ Rejected webhook: no webhook secret configured for this repository");
+  return res.status(401).json({ error: "No webhook secret configured for this repository" });
+}
+
+/**
+ * Express middleware that rejects unsigned or wrongly signed deliveries with 401.
+ * Requires req.rawBody, captured by the JSON body parser's verify hook.
+ * Deliveries are only let through unverified when no secret is configured anywhere;
+ * otherwise a delivery for a repository without a secret is rejected.
+ * @param {Object} options - { header: signature header name, getRepoFullName: (req) => string,
+ *   getSecrets: (req) => string[] to override the env-based secret lookup,
+ *   isEnforced: () => boolean to override the "any secret configured" check }
+ * @returns {Function} Express middleware
+ */
+export function verifyWebhookSignature(options = {}) {
+  const header = (options.header || "x-hub-signature").toLowerCase();
+  const getRepoFullName = options.getRepoFullName || (req => req.body?.repository?.full_name);
+  const getSecrets = options.getSecrets || (req => getSecretsForRepo(getRepoFullName(req)));
+  const isEnforced = options.isEnforced || (() => hasWebhookSecrets());
+
+  return (req, res, next) => {
+    const secrets = getSecrets(req);
+    if (secrets.length === 0) return rejectUnlessUnenforced(isEnforced, res, next);
+
+    const signature = req.headers[header];
+    if (!signature) {
+      console.warn(`❌ Rejected webhook: missing ${header} header`);
+      return res.status(401).json({ error: "Missing webhook signature" });
+    }
+
+    if (!verifySignature(req.rawBody, signature.toString(), secrets)) {
+      console.warn("❌ Rejected webhook: signature mismatch");
+      return res.status(401).json({ error: "Invalid webhook signature" });
+    }
+
+    next();
+  };
+}
+
+/**
+ * Express middleware for providers that send a shared token instead of a signature
+ * (GitLab's X-Gitlab-Token). Rejects missing or unknown tokens with 401.
+ * @param {Object} options - { header: token header name, getSecrets: (req) => string[],
+ *   isEnforced: () => boolean, as for verifyWebhookSignature }
+ * @returns {Function} Express middleware
+ */
+export function verifyWebhookToken(options = {}) {
+  const header = (options.header || "x-gitlab-token").toLowerCase();
+  const getSecrets = options.getSecrets || (req => getSecretsForRepo(req.body?.project?.path_with_namespace));
+  const isEnforced = options.isEnforced || (() => hasWebhookSecrets());
+
+  return (req, res, next) => {
+    const secrets = getSecrets(req);
+    if (secrets.length === 0) return rejectUnlessUnenforced(isEnforced, res, next);
+
+    const token = req.headers[header];
+    if (!token) {
+      console.warn(`❌ Rejected webhook: missing ${header} header`);
+      return res.status(401).json({ error: "Missing webhook token" });
+    }
+
+    // Compare digests so lengths always match for timingSafeEqual
+    const received = crypto.createHash("sha256").update(token.toString()).digest();
+    const matches = secrets.some(secret => {
+      const expected = crypto.createHash("sha256").update(secret).digest();
+      return crypto.timingSafeEqual(expected, received);
+    });
+
+    if (!matches) {
+      console.warn("❌ Rejected webhook: token mismatch");
+      return res.status(401).json({ error: "Invalid webhook token" });
+    }
+
+    next();
+  };
+}
+
+export default {
+  parseSecrets,
+  loadWebhookSecrets,
+  getSecretsForRepo,
+  hasWebhookSecrets,
+  computeSignature,
+  verifySignature,
+  verifyWebhookSignature,
+  verifyWebhookToken
+};
@@ -0,0 +1,85 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { setTimeout as delay } from "timers/promises";
+import { beginAttempt, recordSuccess, recordFailure, releaseAttempt, getProviderHealth, errorStatus, retryAfterMs } from "../src/services/providers/circuitBreaker.js";
+
+const httpError = (status, headers) => Object.assign(new Error(`HTTP ${status}`), { status, headers });
+
+before(() => {
+  process.env.PROVIDER_FAILURE_THRESHOLD = "2";
+  process.env.PROVIDER_COOLDOWN_MS = "20";
+});
+
+after(() => {
+  delete process.env.PROVIDER_FAILURE_THRESHOLD;
+  delete process.env.PROVIDER_COOLDOWN_MS;
+});
+
+test("errorStatus reads the status property or the message", () => {
+  assert.equal(errorStatus(httpError(503)), 503);
+  assert.equal(errorStatus(new Error("[429 Too Many Requests] slow down")), 429);
+  assert.equal(errorStatus(new Error("socket hang up")), null);
+});
+
+test("retryAfterMs understands Retry-After, reset headers and Gemini RetryInfo", () => {
+  assert.equal(retryAfterMs(httpError(429, { "Retry-After": "3" })), 3000);
+  assert.equal(retryAfterMs(httpError(429, new Headers({ "retry-after-ms": "250" }))), 250);
+  assert.equal(retryAfterMs(httpError(429, { "x-ratelimit-remaining-tokens": "0", "x-ratelimit-reset-tokens": "1m30s" })), 90000);
+  assert.equal(retryAfterMs({ errorDetails: [{ "@type": "type.googleapis.com/google.rpc.RetryInfo", retryDelay: "12s" }] }), 12000);
+  assert.equal(retryAfterMs(httpError(500)), null);
+});
+
+test("consecutive failures open the circuit, and a probe after the cooldown closes it", async () => {
+  const provider = "test-threshold";
+  recordFailure(provider, httpError(500));
+  assert.equal(beginAttempt(provider).allowed, true);
+  recordFailure(provider, httpError(500));
+
+  const blocked = beginAttempt(provider);
+  assert.equal(blocked.allowed, false);
+  assert.equal(blocked.reason, "circuit open");
+
+  await delay(30);
+  assert.equal(beginAttempt(provider).allowed, true);
+  // Only one probe at a time while half-open
+  assert.equal(beginAttempt(provider).allowed, false);
+  recordSuccess(provider);
+
+  assert.equal(getProviderHealth([provider])[provider].state, "closed");
+  assert.equal(beginAttempt(provider).allowed, true);
+});
+
+test("a failed probe opens the circuit again", async () => {
+  const provider = "test-probe";
+  recordFailure(provider, httpError(502));
+  recordFailure(provider, httpError(502));
+  await delay(30);
+  assert.equal(beginAttempt(provider).allowed, true);
+  recordFailure(provider, httpError(502));
+  assert.equal(getProviderHealth([provider])[provider].state, "open");
+});
+
+test("a rate limit opens the circuit at once for as long as Retry-After says", () => {
+  const provider = "test-quota";
+  recordFailure(provider, httpError(429, { "retry-after": "60" }));
+  const health = getProviderHealth([provider])[provider];
+  assert.equal(health.state, "open");
+  assert.ok(health.retryInMs > 59000 && health.retryInMs <= 60000);
+  assert.equal(health.lastError.status, 429);
+});
+
+test("request errors don't count against the provider", () => {
+  const provider = "test-request-error";
+  for (let i = 0; i < 5; i++) recordFailure(provider, httpError(400));
+  assert.deepEqual(getProviderHealth([provider])[provider], { state: "closed", failures: 0, lastError: null });
+});
+
+test("releaseAttempt frees the half-open probe without a verdict", async () => {
+  const provider = "test-release";
+  recordFailure(provider, httpError(500));
+  recordFailure(provider, httpError(500));
+  await delay(30);
+  assert.equal(beginAttempt(provider).allowed, true);
+  releaseAttempt(provider);
+  assert.equal(beginAttempt(provider).allowed, true);
+});
@@ -0,0 +1,92 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseDiff, normalizePath, getCommentableLines, filterDiffByPaths, findHunk } from "../src/services/diffParser.js";
+
+const DIFF = [
+  "diff --git a/src/app.js b/src/app.js",
+  "index 1111111..2222222 100644",
+  "--- a/src/app.js",
+  "+++ b/src/app.js",
+  "@@ -1,4 +1,5 @@ function main() {",
+  " const a = 1;",
+  "--- not a header",
+  "+const b = 2;",
+  "+const c = 3;",
+  " const d = 4;",
+  " const e = 5;",
+  "\\ No newline at end of file",
+  "diff --git a/old name.js b/new name.js",
+  "similarity index 90%",
+  "rename from old name.js",
+  "rename to new name.js",
+  "diff --git a/docs/removed.md b/docs/removed.md",
+  "deleted file mode 100644",
+  "--- a/docs/removed.md",
+  "+++ /dev/null",
+  "@@ -1 +0,0 @@",
+  "-gone",
+  "diff --git a/logo.png b/logo.png",
+  "new file mode 100644",
+  "Binary files /dev/null and b/logo.png differ",
+  ""
+].join("\n");
+
+test("normalizePath strips diff prefixes and leading slashes", () => {
+  assert.equal(normalizePath("b/src/a.js"), "src/a.js");
+  assert.equal(normalizePath("./src/a.js"), "src/a.js");
+  assert.equal(normalizePath("/src/a.js"), "src/a.js");
+  assert.equal(normalizePath(null), "");
+});
+
+test("parseDiff reads files, statuses and line numbers", () => {
+  const files = parseDiff(DIFF);
+  assert.deepEqual(files.map(f => [f.path, f.status]), [
+    ["src/app.js", "modified"],
+    ["new name.js", "renamed"],
+    ["docs/removed.md", "deleted"],
+    ["logo.png", "added"]
+  ]);
+
+  const [app, renamed, removed, logo] = files;
+  assert.equal(app.additions, 2);
+  assert.equal(app.deletions, 1);
+  assert.equal(app.hunks[0].section, "function main() {");
+  // A removed line starting with "--" inside a hunk is content, not a header
+  assert.deepEqual(app.hunks[0].lines[1], { type: "del", content: "-- not a header", oldLine: 2, newLine: null });
+  assert.deepEqual(app.hunks[0].lines[2], { type: "add", content: "const b = 2;", oldLine: null, newLine: 2 });
+  assert.equal(app.hunks[0].lines.at(-1).noNewline, true);
+
+  assert.equal(renamed.oldPath, "old name.js");
+  assert.equal(renamed.similarity, 90);
+  assert.equal(removed.newPath, null);
+  assert.equal(logo.isBinary, true);
+});
+
+test("parseDiff handles plain unified diffs without git headers", () => {
+  const files = parseDiff("--- a.txt\n+++ a.txt\n@@ -1 +1 @@\n-x\n+y\n--- b.txt\n+++ b.txt\n@@ -1 +1 @@\n-1\n+2\n");
+  assert.deepEqual(files.map(f => f.path), ["a.txt", "b.txt"]);
+});
+
+test("parseDiff returns nothing for empty input", () => {
+  assert.deepEqual(parseDiff(""), []);
+  assert.deepEqual(parseDiff(undefined), []);
+});
+
+test("getCommentableLines lists added and context lines of the new revision", () => {
+  const lines = getCommentableLines(DIFF);
+  assert.deepEqual([...lines.get("src/app.js")], [1, 2, 3, 4, 5]);
+  assert.equal(lines.has("docs/removed.md"), false);
+});
+
+test("filterDiffByPaths keeps exact files and directory prefixes", () => {
+  const filtered = parseDiff(filterDiffByPaths(DIFF, ["docs", "logo.png"])).map(f => f.path);
+  assert.deepEqual(filtered, ["docs/removed.md", "logo.png"]);
+  assert.equal(filterDiffByPaths(DIFF, []), DIFF);
+});
+
+test("findHunk returns the hunk covering a new-revision line", () => {
+  const hunk = findHunk(DIFF, "b/src/app.js", 3);
+  assert.ok(hunk.startsWith("@@ -1,4 +1,5 @@"));
+  assert.ok(hunk.endsWith("\\ No newline at end of file"));
+  assert.equal(findHunk(DIFF, "src/app.js", 50), null);
+});
@@ -0,0 +1,78 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeFinding, normalizeSeverity, normalizeCategory, severityRank, filterFindings, sortFindings, findingLocation } from "../src/services/findings.js";
+
+test("normalizeSeverity maps synonyms and rejects unknown values", () => {
+  assert.equal(normalizeSeverity(" Critical "), "critical");
+  assert.equal(normalizeSeverity("blocker"), "critical");
+  assert.equal(normalizeSeverity("medium"), "minor");
+  assert.equal(normalizeSeverity("info"), "nit");
+  assert.equal(normalizeSeverity("urgent"), null);
+  assert.equal(normalizeSeverity(undefined), null);
+});
+
+test("normalizeCategory maps synonyms", () => {
+  assert.equal(normalizeCategory("Perf"), "performance");
+  assert.equal(normalizeCategory("vulnerability"), "security");
+  assert.equal(normalizeCategory("docs"), null);
+});
+
+test("severityRank orders critical above nit and unknown values last", () => {
+  assert.deepEqual(["nit", "critical", "minor", "major"].map(severityRank), [1, 4, 2, 3]);
+  assert.equal(severityRank("high"), 3);
+  assert.equal(severityRank("whatever"), 0);
+});
+
+test("normalizeFinding fills defaults and trims text", () => {
+  assert.deepEqual(normalizeFinding({ file: " src/a.js ", line: "12", comment: " Fix this " }), {
+    file: "src/a.js",
+    line: 12,
+    endLine: 12,
+    severity: "minor",
+    category: "maintainability",
+    confidence: 0.5,
+    comment: "Fix this"
+  });
+});
+
+test("normalizeFinding accepts line ranges and percentage confidence", () => {
+  const finding = normalizeFinding({ file: "a.js", lineRange: [4, 9], severity: "HIGH", category: "bugs", confidence: 85, comment: "x", rule: "no-undef", source: "eslint" });
+  assert.equal(finding.line, 4);
+  assert.equal(finding.endLine, 9);
+  assert.equal(finding.severity, "major");
+  assert.equal(finding.category, "bug");
+  assert.equal(finding.confidence, 0.85);
+  assert.equal(finding.rule, "no-undef");
+  assert.equal(finding.source, "eslint");
+});
+
+test("normalizeFinding drops invalid line numbers and backwards ranges", () => {
+  assert.equal(normalizeFinding({ file: "a.js", line: 0, comment: "x" }).line, null);
+  assert.equal(normalizeFinding({ file: "a.js", line: 10, endLine: 3, comment: "x" }).endLine, 10);
+  assert.equal(normalizeFinding({ file: "a.js", comment: "x", confidence: 7 }).confidence, 0.07);
+  assert.equal(normalizeFinding({ file: "a.js", comment: "x", confidence: -2 }).confidence, 0);
+});
+
+test("normalizeFinding rejects findings without a file or comment", () => {
+  assert.equal(normalizeFinding({ file: "", comment: "x" }), null);
+  assert.equal(normalizeFinding({ file: "a.js", comment: "  " }), null);
+  assert.equal(normalizeFinding(null), null);
+});
+
+test("filterFindings and sortFindings use the severity ranking", () => {
+  const findings = [
+    { file: "b.js", line: 1, severity: "nit", category: "style", confidence: 0.9 },
+    { file: "a.js", line: 5, severity: "critical", category: "security", confidence: 0.4 },
+    { file: "a.js", line: 2, severity: "major", category: "bug", confidence: 0.8 }
+  ];
+  assert.deepEqual(filterFindings(findings, { minSeverity: "major", minConfidence: 0.5 }).map(f => f.line), [2]);
+  assert.deepEqual(sortFindings(findings, "severity").map(f => f.severity), ["critical", "major", "nit"]);
+  assert.deepEqual(sortFindings(findings, "file").map(f => `${f.file}:${f.line}`), ["a.js:2", "a.js:5", "b.js:1"]);
+  assert.equal(sortFindings(findings, "unknown"), findings);
+});
+
+test("findingLocation renders single lines and ranges", () => {
+  assert.equal(findingLocation({ file: "a.js", line: 3, endLine: 7 }), "a.js:3-7");
+  assert.equal(findingLocation({ file: "a.js", line: 3, endLine: 3 }), "a.js:3");
+  assert.equal(findingLocation({ line: null }), "<unknown>");
+});
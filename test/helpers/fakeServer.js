@@ -0,0 +1,41 @@
+/**
+ * Fake HTTP server for the SCM adapter tests: routes are "METHOD /path" keys
+ * (query string excluded) mapped to handlers, and every request is recorded.
+ */
+import http from "http";
+
+/**
+ * Start a fake server on a free port
+ * @param {object} routes - { "GET /path": (req, body) => ({ status, body, headers }) }
+ * @returns {Promise<object>} { url, requests, close }
+ */
+export async function startFakeServer(routes) {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let raw = "";
+    req.on("data", chunk => { raw += chunk; });
+    req.on("end", () => {
+      const { pathname, searchParams } = new URL(req.url, "http://localhost");
+      const body = raw ? JSON.parse(raw) : undefined;
+      const request = { method: req.method, path: pathname, query: Object.fromEntries(searchParams), headers: req.headers, body };
+      requests.push(request);
+
+      const handler = routes[`${req.method} ${pathname}`];
+      const reply = handler ? handler(request) : { status: 404, body: { error: "not found" } };
+      const payload = typeof reply.body === "string" ? reply.body : JSON.stringify(reply.body ?? null);
+      res.writeHead(reply.status || 200, {
+        "Content-Type": typeof reply.body === "string" ? "text/plain" : "application/json",
+        ...reply.headers
+      });
+      res.end(payload);
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
@@ -0,0 +1,65 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parsePatch, applyHunks, checkPatch, linesFromDiff } from "../src/services/patchApplier.js";
+import { parseDiff } from "../src/services/diffParser.js";
+
+const FILE = ["function add(a, b) {", "  return a - b;", "}", "", "export default add;"].join("\n");
+
+test("parsePatch accepts fenced diffs and bare -/+ lists", () => {
+  const fenced = parsePatch("```diff\n@@ -2 +2 @@\n-  return a - b;\n+  return a + b;\n```");
+  assert.equal(fenced.length, 1);
+  assert.equal(fenced[0].oldStart, 2);
+
+  const bare = parsePatch("-  return a - b;\n+  return a + b;");
+  assert.deepEqual(bare, [{
+    oldStart: null,
+    lines: [{ type: "del", content: "  return a - b;" }, { type: "add", content: "  return a + b;" }]
+  }]);
+
+  assert.deepEqual(parsePatch("just prose"), []);
+});
+
+test("checkPatch applies a hunk and returns a line-range suggestion", () => {
+  const result = checkPatch(FILE, "@@ -1,3 +1,3 @@\n function add(a, b) {\n-  return a - b;\n+  return a + b;\n }");
+  assert.equal(result.ok, true);
+  assert.deepEqual(result.suggestion, { startLine: 2, endLine: 2, replacement: ["  return a + b;"] });
+});
+
+test("checkPatch finds a hunk whose header line number is off", () => {
+  const result = checkPatch(FILE, "@@ -4 +4 @@\n-  return a - b;\n+  return a + b;");
+  assert.equal(result.ok, true);
+  assert.equal(result.suggestion.startLine, 2);
+});
+
+test("checkPatch rejects patches that don't match the file", () => {
+  const result = checkPatch(FILE, "-  return a * b;\n+  return a + b;");
+  assert.equal(result.ok, false);
+  assert.match(result.error, /does not match/);
+});
+
+test("a header-less hunk must match exactly one place", () => {
+  const result = checkPatch(["x", "y", "x"], "-x\n+z");
+  assert.equal(result.ok, false);
+  assert.match(result.error, /more than one place/);
+});
+
+test("applyHunks shifts later hunks by the earlier ones' line delta", () => {
+  const hunks = parsePatch("@@ -1 +1,2 @@\n-a\n+a1\n+a2\n@@ -3 +4 @@\n-c\n+C");
+  const result = applyHunks(["a", "b", "c"], hunks);
+  assert.equal(result.ok, true);
+  assert.deepEqual(result.lines, ["a1", "a2", "b", "C"]);
+  assert.deepEqual(result.applied.map(a => a.start), [1, 3]);
+});
+
+test("a pure addition becomes a suggestion on the line before it", () => {
+  const result = checkPatch(FILE, "@@ -1,2 +1,3 @@\n function add(a, b) {\n+  // sum\n   return a - b;");
+  assert.deepEqual(result.suggestion, { startLine: 1, endLine: 1, replacement: ["function add(a, b) {", "  // sum"] });
+});
+
+test("lines rebuilt from the diff never match unknown lines", () => {
+  const [file] = parseDiff("--- a/x.js\n+++ b/x.js\n@@ -3,2 +3,2 @@\n keep\n-old\n+new\n");
+  const lines = linesFromDiff(file);
+  assert.deepEqual(lines, [null, null, "keep", "new"]);
+  assert.equal(checkPatch(lines, "-new\n+newer").ok, true);
+  assert.equal(checkPatch(lines, "@@ -1 +1 @@\n-keep\n+kept").suggestion.startLine, 3);
+});
@@ -0,0 +1,72 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { acquireToken, getRateLimit, getRateLimitState } from "../src/services/providers/rateLimiter.js";
+
+before(() => {
+  process.env.MODEL_CONFIG = JSON.stringify({
+    rateLimits: {
+      groq: { requestsPerMinute: 600, burst: 2 },
+      gemini: { requestsPerMinute: 1 },
+      openai: { requestsPerMinute: 60 },
+      ollama: null
+    }
+  });
+  process.env.PROVIDER_MAX_WAIT_MS = "5000";
+});
+
+after(() => {
+  delete process.env.MODEL_CONFIG;
+  delete process.env.PROVIDER_MAX_WAIT_MS;
+});
+
+test("getRateLimit applies config overrides and defaults burst to 1", () => {
+  assert.deepEqual(getRateLimit("groq"), { requestsPerMinute: 600, burst: 2 });
+  assert.deepEqual(getRateLimit("gemini"), { requestsPerMinute: 1, burst: 1 });
+  assert.equal(getRateLimit("ollama"), null);
+});
+
+test("unlimited providers are never throttled", async () => {
+  for (let i = 0; i < 5; i++) assert.deepEqual(await acquireToken("ollama"), { acquired: true, waitMs: 0 });
+});
+
+test("the burst is served at once, then calls wait for the refill", async () => {
+  assert.equal((await acquireToken("groq")).waitMs, 0);
+  assert.equal((await acquireToken("groq")).waitMs, 0);
+
+  const started = Date.now();
+  const third = await acquireToken("groq");
+  assert.equal(third.acquired, true);
+  // 600/min refills one token every 100ms
+  assert.ok(third.waitMs > 0 && third.waitMs <= 100);
+  assert.ok(Date.now() - started >= third.waitMs - 5);
+});
+
+test("a wait longer than PROVIDER_MAX_WAIT_MS is refused without taking a token", async () => {
+  assert.equal((await acquireToken("gemini")).acquired, true);
+  const refused = await acquireToken("gemini");
+  assert.equal(refused.acquired, false);
+  assert.ok(refused.waitMs > 5000);
+  assert.equal(getRateLimitState(["gemini"]).gemini.available, 0);
+});
+
+test("an aborted wait gives its token back", async () => {
+  assert.equal((await acquireToken("openai")).waitMs, 0);
+
+  const controller = new AbortController();
+  const pending = acquireToken("openai", { signal: controller.signal });
+  controller.abort();
+  await assert.rejects(pending, /Request aborted/);
+
+  // With the token back the next caller waits about one refill (1s), not two
+  process.env.PROVIDER_MAX_WAIT_MS = "1500";
+  const next = new AbortController();
+  const queued = acquireToken("openai", { signal: next.signal });
+  next.abort();
+  await assert.rejects(queued, /Request aborted/);
+  process.env.PROVIDER_MAX_WAIT_MS = "5000";
+
+  // An already-aborted signal is rejected without waiting
+  const started = Date.now();
+  await assert.rejects(acquireToken("openai", { signal: AbortSignal.abort() }), /Request aborted/);
+  assert.ok(Date.now() - started < 500);
+});
@@ -0,0 +1,109 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validateReviewConfig, parseReviewConfig, matchesAny, filterIgnoredFiles, applyConfigToComments } from "../src/services/reviewConfig.js";
+
+test("parseReviewConfig accepts a valid file and normalizes values", () => {
+  const { config, errors } = parseReviewConfig([
+    "ignore: [\"dist/**\", \" *.snap \"]",
+    "skipGenerated: false",
+    "alwaysReview: [src/gen/api.ts]",
+    "severityThreshold: Major",
+    "maxComments: 10",
+    "provider: GROQ",
+    "language: German",
+    "generateTests: Comment"
+  ].join("\n"));
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(config, {
+    ignore: ["dist/**", "*.snap"],
+    skipGenerated: false,
+    alwaysReview: ["src/gen/api.ts"],
+    severityThreshold: "major",
+    maxComments: 10,
+    provider: "groq",
+    language: "German",
+    generateTests: "comment"
+  });
+});
+
+test("an empty file is valid", () => {
+  assert.deepEqual(parseReviewConfig(""), { config: {}, errors: [] });
+});
+
+test("YAML syntax errors are reported on one line", () => {
+  const { config, errors } = parseReviewConfig("ignore: [unclosed");
+  assert.deepEqual(config, {});
+  assert.equal(errors.length, 1);
+  assert.match(errors[0], /^YAML syntax error: [^\n]+$/);
+});
+
+test("validateReviewConfig reports every invalid setting and keeps the valid ones", () => {
+  const { config, errors } = validateReviewConfig({
+    ignore: "dist/**",
+    severityThreshold: "urgent",
+    maxComments: 500,
+    provider: "nope",
+    generateTests: "always",
+    instructions: "x".repeat(2001),
+    model: "  ",
+    skipGenerated: "yes",
+    focus: ["security"],
+    colour: "blue"
+  });
+
+  assert.deepEqual(config, { focus: ["security"] });
+  assert.equal(errors.length, 9);
+  for (const key of ["colour", "ignore", "skipGenerated", "severityThreshold", "maxComments", "provider", "generateTests", "instructions", "model"]) {
+    assert.ok(errors.some(e => e.includes(`\`${key}\``)), `no error for ${key}`);
+  }
+});
+
+test("validateReviewConfig rejects non-mapping documents", () => {
+  assert.deepEqual(validateReviewConfig(["a"]).errors, ["the file must contain a mapping of settings"]);
+  assert.deepEqual(validateReviewConfig("text").errors, ["the file must contain a mapping of settings"]);
+});
+
+test("globs match names anywhere and ** across directories", () => {
+  assert.equal(matchesAny("src/__snapshots__/a.snap", ["*.snap"]), true);
+  assert.equal(matchesAny("dist/js/app.js", ["dist/**"]), true);
+  assert.equal(matchesAny("src/dist/app.js", ["dist/**"]), false);
+  assert.equal(matchesAny("src/a/b/gen.ts", ["src/**/gen.ts"]), true);
+  assert.equal(matchesAny("src/a/gen.ts", ["src/*.ts"]), false);
+});
+
+test("filterIgnoredFiles drops matching files from the diff", () => {
+  const diff = "diff --git a/dist/a.js b/dist/a.js\n--- a/dist/a.js\n+++ b/dist/a.js\n@@ -1 +1 @@\n-a\n+b\ndiff --git a/src/a.js b/src/a.js\n--- a/src/a.js\n+++ b/src/a.js\n@@ -1 +1 @@\n-a\n+b";
+  assert.equal(filterIgnoredFiles(diff, ["dist/**"]), "diff --git a/src/a.js b/src/a.js\n--- a/src/a.js\n+++ b/src/a.js\n@@ -1 +1 @@\n-a\n+b");
+});
+
+test("applyConfigToComments applies ignore, threshold and cap in order", () => {
+  const comments = [
+    { file: "dist/a.js", severity: "critical" },
+    { file: "src/a.js", severity: "nit" },
+    { file: "src/b.js", severity: "major" },
+    { file: "src/c.js" },
+    { file: "src/d.js", severity: "critical" }
+  ];
+  const result = applyConfigToComments(comments, { ignore: ["dist/**"], severityThreshold: "major", maxComments: 2 });
+  assert.deepEqual(result.map(c => c.file), ["src/d.js", "src/b.js"]);
+});
+
+test("applyConfigToComments keeps findings that fail the merge gate", () => {
+  const comments = [
+    { file: "src/a.js", severity: "minor" },
+    { file: "src/b.js", severity: "minor", category: "security" },
+    { file: "src/c.js", severity: "major" },
+    { file: "src/d.js", severity: "critical" },
+    { file: "src/e.js", severity: "critical" }
+  ];
+  const failOn = { minSeverity: "critical", categories: ["security"] };
+
+  const capped = applyConfigToComments(comments, { maxComments: 2 }, failOn);
+  assert.deepEqual(capped.map(c => c.file), ["src/d.js", "src/e.js", "src/b.js"]);
+
+  const filtered = applyConfigToComments(comments, { severityThreshold: "critical", maxComments: 4 }, failOn);
+  assert.deepEqual(filtered.map(c => c.file), ["src/b.js", "src/d.js", "src/e.js"]);
+
+  assert.deepEqual(applyConfigToComments(comments, { maxComments: 1 }).map(c => c.file), ["src/d.js"]);
+});
@@ -0,0 +1,80 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { publishReview, partitionComments, inlineMarker, SUMMARY_MARKER } from "../src/services/reviewPublisher.js";
+
+const DIFF = "diff --git a/a.js b/a.js\n--- a/a.js\n+++ b/a.js\n@@ -1,2 +1,3 @@\n one\n+two\n+three\n";
+
+/**
+ * In-memory SCM that keeps posted inline comments, like a PR that is reviewed twice
+ */
+function fakeScm() {
+  const inline = [];
+  const summaries = [];
+  return {
+    inline,
+    summaries,
+    async postInlineComment(ctx, comment) { inline.push({ id: inline.length + 1, ...comment }); },
+    async findInlineCommentsByMarker(ctx, marker) { return inline.filter(c => c.body.includes(marker)); },
+    async postSummaryComment(ctx, body) { summaries.push(body); }
+  };
+}
+
+const review = () => ({
+  summary: "Looks fine",
+  comments: [
+    { file: "a.js", line: 2, severity: "major", category: "bug", comment: "Off by one" },
+    { file: "a.js", line: 3, severity: "minor", category: "style", rule: "semi", comment: "Missing semicolon" },
+    { file: "a.js", line: 40, severity: "nit", category: "style", comment: "Outside the diff" }
+  ],
+  patches: []
+});
+
+test("partitionComments anchors comments on changed lines up to the limit", () => {
+  const { inline, general } = partitionComments(review().comments, DIFF, 1);
+  assert.deepEqual(inline.map(c => c.line), [2]);
+  assert.deepEqual(general.map(c => c.line), [3, 40]);
+});
+
+test("inline comments carry a marker keyed on file, line and rule", async () => {
+  const scm = fakeScm();
+  const ctx = { settings: { summaryMode: "new" } };
+  const result = await publishReview(scm, ctx, review(), DIFF, { inlineLimit: 10 });
+
+  assert.equal(result.inlineCount, 2);
+  assert.ok(scm.inline[0].body.startsWith(`${inlineMarker("a.js", 2, "bug")}\n\n`));
+  assert.ok(scm.inline[1].body.startsWith(inlineMarker("a.js", 3, "semi")));
+  assert.notEqual(inlineMarker("a.js", 2, "bug"), inlineMarker("a.js", 2, "security"));
+  assert.match(scm.summaries[0], /Outside the diff/);
+});
+
+test("a re-review does not post the same inline comments again", async () => {
+  const scm = fakeScm();
+  const ctx = { settings: { summaryMode: "new" } };
+  await publishReview(scm, ctx, review(), DIFF, { inlineLimit: 10 });
+
+  const second = review();
+  second.comments.push({ file: "a.js", line: 2, severity: "critical", category: "security", comment: "New finding" });
+  const result = await publishReview(scm, ctx, second, DIFF, { inlineLimit: 10 });
+
+  assert.equal(result.duplicateCount, 2);
+  assert.equal(result.inlineCount, 3);
+  assert.deepEqual(scm.inline.map(c => c.body.split("\n\n").pop()), ["Off by one", "Missing semicolon", "New finding"]);
+  assert.ok(!scm.summaries[1].includes(SUMMARY_MARKER));
+});
+
+test("suggestions already posted are kept out of the summary", async () => {
+  const scm = fakeScm();
+  const ctx = { provider: "github", settings: { summaryMode: "new" } };
+  const withPatch = () => ({
+    summary: "",
+    comments: [],
+    patches: [{ file: "a.js", diff: "-two\n+2", suggestion: { startLine: 2, endLine: 2, replacement: ["2"] } }]
+  });
+
+  await publishReview(scm, ctx, withPatch(), DIFF, { inlineLimit: 10 });
+  const result = await publishReview(scm, ctx, withPatch(), DIFF, { inlineLimit: 10 });
+
+  assert.equal(scm.inline.length, 1);
+  assert.equal(result.duplicateCount, 1);
+  assert.ok(!scm.summaries[1]?.includes("Suggested Patches"));
+});
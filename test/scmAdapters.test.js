@@ -0,0 +1,188 @@
+import { test, describe, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startFakeServer } from "./helpers/fakeServer.js";
+import { getProvider } from "../src/services/scm/index.js";
+
+const DIFF = "diff --git a/a.js b/a.js\n--- a/a.js\n+++ b/a.js\n@@ -1 +1 @@\n-old\n+new\n";
+const MARKER = "[//]: # (pr-reviewer)";
+
+describe("bitbucket adapter", () => {
+  const scm = getProvider("bitbucket");
+  const ctx = { workspace: "team", repo: "app", fullName: "team/app", auth: "Bearer bb-token", prId: 7 };
+  const prPath = "/2.0/repositories/team/app/pullrequests/7";
+  let server;
+
+  before(async () => {
+    server = await startFakeServer({
+      [`GET ${prPath}/diff`]: () => ({ status: 302, headers: { Location: "/raw/7.diff" } }),
+      "GET /raw/7.diff": () => ({ body: DIFF }),
+      [`POST ${prPath}/comments`]: () => ({ status: 201, body: { id: 99 } }),
+      "GET /2.0/user": () => ({ body: { account_id: "bot-account", uuid: "{bot}" } }),
+      [`GET ${prPath}/comments`]: () => ({
+        body: {
+          values: [
+            { id: 1, user: { account_id: "bot-account" }, content: { raw: `${MARKER} ours` } },
+            { id: 2, user: { account_id: "bot-account" }, content: { raw: `${MARKER} inline` }, inline: { path: "a.js" } },
+            { id: 3, user: { account_id: "bot-account" }, content: { raw: `${MARKER} deleted` }, deleted: true },
+            { id: 4, user: { account_id: "someone-else" }, content: { raw: `${MARKER} pasted` } }
+          ]
+        }
+      })
+    });
+    process.env.BITBUCKET_API_URL = `${server.url}/2.0`;
+  });
+
+  after(async () => {
+    delete process.env.BITBUCKET_API_URL;
+    await server.close();
+  });
+
+  test("fetchDiff follows the redirect to the raw diff", async () => {
+    assert.equal(await scm.fetchDiff(ctx), DIFF);
+    assert.equal(server.requests[0].headers.authorization, "Bearer bb-token");
+  });
+
+  test("postSummaryComment posts the raw markdown body", async () => {
+    const result = await scm.postSummaryComment(ctx, "## Review");
+    assert.deepEqual(result, { id: 99 });
+    const request = server.requests.find(r => r.method === "POST");
+    assert.deepEqual(request.body, { content: { raw: "## Review" } });
+  });
+
+  test("findCommentByMarker only matches the bot's own top-level comments", async () => {
+    assert.deepEqual(await scm.findCommentByMarker(ctx, MARKER), { id: 1, body: `${MARKER} ours` });
+  });
+
+  test("findInlineCommentsByMarker returns the bot's inline comments only", async () => {
+    assert.deepEqual(await scm.findInlineCommentsByMarker(ctx, MARKER), [{ id: 2, body: `${MARKER} inline` }]);
+  });
+
+  test("API errors carry the response status", async () => {
+    await assert.rejects(scm.updateComment({ ...ctx, prId: 8 }, 1, "x"), err => err.response?.status === 404);
+  });
+});
+
+describe("github adapter", () => {
+  const scm = getProvider("github");
+  const ctx = { workspace: "octo", repo: "app", fullName: "octo/app", auth: "gh-token", prId: 5 };
+  let server;
+
+  before(async () => {
+    server = await startFakeServer({
+      "GET /repos/octo/app/pulls/5": () => ({ body: DIFF }),
+      "POST /repos/octo/app/issues/5/comments": () => ({ status: 201, body: { id: 10 } }),
+      "GET /user": () => ({ body: { id: 42, login: "review-bot" } }),
+      "GET /repos/octo/app/pulls/5/comments": () => ({
+        body: [
+          { id: 20, user: { id: 42 }, path: "a.js", line: 1, body: `${MARKER} inline` },
+          { id: 21, user: { id: 7 }, path: "a.js", line: 1, body: `${MARKER} look-alike` }
+        ]
+      }),
+      "GET /repos/octo/app/issues/5/comments": () => ({
+        body: [
+          { id: 1, user: { id: 42 }, body: `${MARKER} first` },
+          { id: 2, user: { id: 42 }, body: `${MARKER} newest` },
+          { id: 3, user: { id: 42 }, body: "unrelated" },
+          { id: 4, user: { id: 7 }, body: `${MARKER} look-alike` }
+        ]
+      })
+    });
+    process.env.GITHUB_API_URL = server.url;
+  });
+
+  after(async () => {
+    delete process.env.GITHUB_API_URL;
+    await server.close();
+  });
+
+  test("fetchDiff asks for the diff media type and sends a bare token as Bearer", async () => {
+    assert.equal(await scm.fetchDiff(ctx), DIFF);
+    assert.equal(server.requests[0].headers.accept, "application/vnd.github.v3.diff");
+    assert.equal(server.requests[0].headers.authorization, "Bearer gh-token");
+  });
+
+  test("postSummaryComment posts to the issue comments", async () => {
+    await scm.postSummaryComment(ctx, "hello");
+    const request = server.requests.find(r => r.method === "POST");
+    assert.equal(request.path, "/repos/octo/app/issues/5/comments");
+    assert.deepEqual(request.body, { body: "hello" });
+  });
+
+  test("findCommentByMarker returns the bot's newest marked comment", async () => {
+    assert.deepEqual(await scm.findCommentByMarker(ctx, MARKER), { id: 2, body: `${MARKER} newest` });
+  });
+
+  test("findInlineCommentsByMarker reads the PR review comments", async () => {
+    assert.deepEqual(await scm.findInlineCommentsByMarker(ctx, MARKER), [{ id: 20, body: `${MARKER} inline` }]);
+  });
+
+  test("parseEvent maps synchronize onto updated", () => {
+    const event = scm.parseEvent({ "x-github-event": "pull_request" }, {
+      action: "synchronize",
+      number: 5,
+      repository: { full_name: "octo/app" },
+      pull_request: { head: { sha: "abc" }, base: { ref: "main" }, title: "T" }
+    });
+    assert.equal(event.kind, "pull_request");
+    assert.equal(event.action, "updated");
+    assert.equal(event.commit, "abc");
+    assert.equal(event.baseBranch, "main");
+  });
+});
+
+describe("gitlab adapter", () => {
+  const scm = getProvider("gitlab");
+  const ctx = { workspace: "group", repo: "app", fullName: "group/sub/app", auth: "gl-token", prId: 3 };
+  const mrPath = "/api/v4/projects/group%2Fsub%2Fapp/merge_requests/3";
+  let server;
+
+  before(async () => {
+    server = await startFakeServer({
+      [`GET ${mrPath}/changes`]: () => ({
+        body: {
+          changes: [
+            { old_path: "a.js", new_path: "a.js", diff: "@@ -1 +1 @@\n-old\n+new\n" },
+            { old_path: "b.js", new_path: "b.js", new_file: true, diff: "@@ -0,0 +1 @@\n+added\n" }
+          ]
+        }
+      }),
+      [`POST ${mrPath}/notes`]: () => ({ status: 201, body: { id: 11 } }),
+      "GET /api/v4/user": () => ({ body: { id: 100, username: "review-bot" } }),
+      [`GET ${mrPath}/notes`]: () => ({
+        body: [
+          { id: 5, author: { id: 200 }, body: `${MARKER} pasted` },
+          { id: 4, author: { id: 100 }, body: `${MARKER} system`, system: true },
+          { id: 3, author: { id: 100 }, body: `${MARKER} ours` },
+          { id: 2, author: { id: 100 }, body: `${MARKER} on a line`, position: { new_path: "a.js", new_line: 1 } }
+        ]
+      })
+    });
+    process.env.GITLAB_URL = server.url;
+  });
+
+  after(async () => {
+    delete process.env.GITLAB_URL;
+    await server.close();
+  });
+
+  test("fetchDiff rebuilds file headers from the changes API", async () => {
+    const diff = await scm.fetchDiff(ctx);
+    assert.equal(server.requests[0].path, `${mrPath}/changes`);
+    assert.ok(diff.startsWith("diff --git a/a.js b/a.js\n--- a/a.js\n+++ b/a.js\n@@ -1 +1 @@\n-old\n+new"));
+    assert.match(diff, /diff --git a\/b.js b\/b.js\nnew file mode 100644\n--- \/dev\/null\n\+\+\+ b\/b.js\n@@ -0,0 \+1 @@\n\+added/);
+  });
+
+  test("postSummaryComment posts a note", async () => {
+    await scm.postSummaryComment(ctx, "hello");
+    const request = server.requests.find(r => r.method === "POST");
+    assert.deepEqual(request.body, { body: "hello" });
+  });
+
+  test("findCommentByMarker skips other authors and system notes", async () => {
+    assert.deepEqual(await scm.findCommentByMarker(ctx, MARKER), { id: 3, body: `${MARKER} ours` });
+  });
+
+  test("findInlineCommentsByMarker keeps the bot's diff notes", async () => {
+    assert.deepEqual(await scm.findInlineCommentsByMarker(ctx, MARKER), [{ id: 2, body: `${MARKER} on a line` }]);
+  });
+});